@@ -0,0 +1,99 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// ICE servers handed to browsers for WebRTC, read from the environment:
+//
+//   ICE_STUN_URLS        comma-separated STUN URLs, or "none" (default: public STUN servers)
+//   ICE_TURN_URLS        comma-separated TURN URLs
+//   ICE_TURN_USERNAME    static TURN username   } used when there is no shared secret
+//   ICE_TURN_CREDENTIAL  static TURN password   }
+//   ICE_TURN_SECRET      shared secret for time-limited TURN credentials (coturn's use-auth-secret)
+//   ICE_TURN_TTL         lifetime of those credentials in seconds (default 86400)
+//   ICE_CONFIG_FILE      JSON file with an `iceServers` array, used instead of all of the above
+//
+// On an air-gapped LAN, ICE_STUN_URLS=none skips STUN entirely: host candidates are enough.
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:global.stun.twilio.com:3478',
+  'stun:stun.services.mozilla.com'
+];
+const DEFAULT_TURN_TTL = 24 * 60 * 60;
+
+function parseUrlList(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// Read the operator's settings once at startup; throws if ICE_CONFIG_FILE is unreadable
+function loadIceSettings(env = process.env) {
+  if (env.ICE_CONFIG_FILE) {
+    const parsed = JSON.parse(fs.readFileSync(env.ICE_CONFIG_FILE, 'utf8'));
+    if (!Array.isArray(parsed.iceServers)) {
+      throw new Error(`${env.ICE_CONFIG_FILE} has no iceServers array`);
+    }
+    return { iceServers: parsed.iceServers };
+  }
+
+  const stun = env.ICE_STUN_URLS === undefined ? DEFAULT_STUN_URLS
+    : env.ICE_STUN_URLS.trim().toLowerCase() === 'none' ? []
+      : parseUrlList(env.ICE_STUN_URLS);
+
+  return {
+    stun,
+    turn: parseUrlList(env.ICE_TURN_URLS),
+    turnUsername: env.ICE_TURN_USERNAME || null,
+    turnCredential: env.ICE_TURN_CREDENTIAL || null,
+    turnSecret: env.ICE_TURN_SECRET || null,
+    turnTtl: Number(env.ICE_TURN_TTL) || DEFAULT_TURN_TTL
+  };
+}
+
+// TURN REST API credentials: "<expiry>:<user>" signed with HMAC-SHA1 of the shared secret
+function createTurnCredentials(secret, user, ttl, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = `${expiresAt}:${user}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt: expiresAt * 1000 };
+}
+
+// RTCConfiguration-ready ICE servers for one client; `expiresAt` (ms) is set for time-limited TURN
+function getIceConfig(settings, user, now = Date.now()) {
+  if (settings.iceServers) return { iceServers: settings.iceServers, expiresAt: null };
+
+  const iceServers = [];
+  if (settings.stun.length) iceServers.push({ urls: settings.stun });
+
+  let expiresAt = null;
+  if (settings.turn.length) {
+    if (settings.turnSecret) {
+      const turn = createTurnCredentials(settings.turnSecret, user, settings.turnTtl, now);
+      iceServers.push({ urls: settings.turn, username: turn.username, credential: turn.credential });
+      expiresAt = turn.expiresAt;
+    } else {
+      const turn = { urls: settings.turn };
+      if (settings.turnUsername) turn.username = settings.turnUsername;
+      if (settings.turnCredential) turn.credential = settings.turnCredential;
+      iceServers.push(turn);
+    }
+  }
+
+  return { iceServers, expiresAt };
+}
+
+// One-line description for the startup log (never includes credentials)
+function describeIceSettings(settings) {
+  if (settings.iceServers) return `${settings.iceServers.length} server(s) from config file`;
+  const stun = settings.stun.length ? `${settings.stun.length} STUN` : 'no STUN';
+  const turn = settings.turn.length
+    ? `${settings.turn.length} TURN (${settings.turnSecret ? 'time-limited' : 'static'} credentials)`
+    : 'no TURN';
+  return `${stun}, ${turn}`;
+}
+
+module.exports = {
+  loadIceSettings,
+  createTurnCredentials,
+  getIceConfig,
+  describeIceSettings
+};
@@ -0,0 +1,83 @@
+// Leveled logger for the signaling server.
+// Every line is a message plus flat fields (event, socketId, deviceId, room, sizes...), written
+// as one JSON object per line in production and as readable text in development.
+//
+// LOG_LEVEL         debug | info | warn | error (default info)
+// LOG_FORMAT        json | pretty (default json when NODE_ENV=production, pretty otherwise)
+// LOG_REDACT_NAMES  "true" to replace device names with a hash that is stable for the process lifetime
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL_COLORS = { debug: 90, info: 36, warn: 33, error: 31 }; // ANSI: grey, cyan, yellow, red
+
+// Fields that hold a user-chosen device name
+const NAME_FIELDS = new Set(['name', 'fromName', 'toName', 'previousName']);
+// Redacted names hash with this, so the same name maps to the same tag until a restart
+const NAME_SALT = crypto.randomBytes(16);
+
+function loadLogSettings(env = process.env) {
+  const level = LEVELS[env.LOG_LEVEL] ? env.LOG_LEVEL : 'info';
+  const format = ['json', 'pretty'].includes(env.LOG_FORMAT)
+    ? env.LOG_FORMAT
+    : env.NODE_ENV === 'production' ? 'json' : 'pretty';
+  return { level, format, redactNames: env.LOG_REDACT_NAMES === 'true' };
+}
+
+// Errors become { message, stack } so they survive JSON.stringify
+const serializeValue = (value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+const prettyValue = (value) => {
+  if (typeof value === 'string') return /[\s"=]/.test(value) || !value ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+};
+
+function createLogger({ level = 'info', format = 'pretty', redactNames = false, stream = process.stdout } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+  const color = format === 'pretty' && stream.isTTY;
+
+  const redactName = (value) => {
+    if (!redactNames || typeof value !== 'string') return value;
+    return `name#${crypto.createHmac('sha256', NAME_SALT).update(value).digest('hex').slice(0, 8)}`;
+  };
+
+  function prepare(fields) {
+    const out = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined) return;
+      out[key] = NAME_FIELDS.has(key) ? redactName(value) : serializeValue(value);
+    });
+    return out;
+  }
+
+  function write(levelName, message, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const data = prepare(fields);
+
+    if (format === 'json') {
+      stream.write(`${JSON.stringify({ time: new Date().toISOString(), level: levelName, msg: message, ...data })}\n`);
+      return;
+    }
+
+    const { err, ...rest } = data;
+    const time = new Date().toISOString().slice(11, 23);
+    const label = levelName.toUpperCase().padEnd(5);
+    const pairs = Object.entries(rest).map(([key, value]) => `${key}=${prettyValue(value)}`).join(' ');
+    const head = color ? `\x1b[${LEVEL_COLORS[levelName]}m${label}\x1b[0m` : label;
+    stream.write(`${time} ${head} ${message}${pairs ? ` ${pairs}` : ''}\n`);
+    if (err) stream.write(`${err.stack || err.message || JSON.stringify(err)}\n`);
+  }
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+  };
+}
+
+module.exports = {
+  LEVELS,
+  loadLogSettings,
+  createLogger
+};
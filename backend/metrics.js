@@ -0,0 +1,67 @@
+// In-process counters and gauges for /api/stats and /metrics.
+// Rendered in the Prometheus text exposition format (0.0.4); no client library needed.
+
+const METRIC_PREFIX = 'locallink_';
+
+// Label set → stable key ("a=1,b=2") and back to Prometheus syntax ({a="1",b="2"})
+const labelKey = (labels = {}) => Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatLabels = (labels) => {
+  const names = Object.keys(labels);
+  if (!names.length) return '';
+  return `{${names.sort().map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+};
+
+function createMetrics() {
+  const metrics = new Map(); // name → { type, help, series: Map<labelKey, { labels, value }> } or { ..., collect }
+
+  // Monotonic count; `inc(labels)` or `inc(labels, amount)`. `seed` label sets start out at 0,
+  // so they are scraped before anything happens
+  function counter(name, help, seed = [{}]) {
+    const series = new Map(seed.map(labels => [labelKey(labels), { labels, value: 0 }]));
+    metrics.set(name, { type: 'counter', help, series });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += amount;
+        series.set(key, current);
+      },
+      // Total for one label set, or across all of them
+      get(labels) {
+        if (labels) return series.get(labelKey(labels))?.value || 0;
+        let total = 0;
+        series.forEach(entry => { total += entry.value; });
+        return total;
+      }
+    };
+  }
+
+  // Value read when scraped: `collect()` returns a number or [{ labels, value }]
+  function gauge(name, help, collect) {
+    metrics.set(name, { type: 'gauge', help, collect });
+  }
+
+  const seriesOf = (metric) => {
+    if (metric.series) return Array.from(metric.series.values());
+    const value = metric.collect();
+    return Array.isArray(value) ? value : [{ labels: {}, value }];
+  };
+
+  function render() {
+    const lines = [];
+    metrics.forEach((metric, name) => {
+      const fullName = METRIC_PREFIX + name;
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+      seriesOf(metric).forEach(({ labels, value }) => lines.push(`${fullName}${formatLabels(labels)} ${value}`));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,30 @@
+// Display names.
+// The client checks the same rules before sending (frontend/src/lib/names.js); this is the
+// copy that counts. Names are unique across the server, compared case-insensitively.
+
+const NAME_MAX_LENGTH = 32;
+const NAME_PATTERN = /^[\p{L}\p{N} .'()_-]+$/u;
+
+// Trimmed name with runs of whitespace collapsed, or null if it breaks the rules
+function normalizeName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (!trimmed || trimmed.length > NAME_MAX_LENGTH || !NAME_PATTERN.test(trimmed)) return null;
+  return trimmed;
+}
+
+// `name` itself, or the first of "name (2)", "name (3)", ... that `isTaken` lets through
+function uniqueName(name, isTaken) {
+  if (!isTaken(name)) return name;
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = `${name.slice(0, NAME_MAX_LENGTH - suffix.length).trimEnd()}${suffix}`;
+    if (!isTaken(candidate)) return candidate;
+  }
+}
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  normalizeName,
+  uniqueName
+};
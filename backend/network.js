@@ -0,0 +1,136 @@
+const os = require('os');
+const net = require('net');
+
+// Network grouping rules: devices behind the same private subnet or the same
+// public (NAT) address are considered to be on the same LAN.
+// Everything here is pure so it can be exercised with fake addresses.
+
+const DEFAULT_IPV4_PREFIX = 24;
+const DEFAULT_IPV6_PREFIX = 64;
+
+// Strip IPv4-mapped IPv6 prefix, brackets and zone ids
+function normalizeAddress(address) {
+  if (typeof address !== 'string') return null;
+  let ip = address.trim();
+  if (ip.startsWith('[') && ip.includes(']')) ip = ip.slice(1, ip.indexOf(']'));
+  if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) ip = ip.slice(7);
+  const zone = ip.indexOf('%');
+  if (zone !== -1) ip = ip.slice(0, zone);
+  return net.isIP(ip) ? ip.toLowerCase() : null;
+}
+
+// Client address: behind `trustProxy` proxies (a hop count; true = 1), the X-Forwarded-For entry
+// the outermost of them appended, else the socket address. Proxies append to the header, so
+// entries left of that one come from the client and can say anything.
+function getClientAddress(handshake, { trustProxy = 0 } = {}) {
+  const hops = trustProxy === true ? 1 : Number(trustProxy) || 0;
+  if (hops > 0) {
+    const forwarded = handshake.headers?.['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded.length > 0) {
+      const entries = forwarded.split(',');
+      const client = normalizeAddress(entries[Math.max(0, entries.length - hops)]);
+      if (client) return client;
+    }
+  }
+  return normalizeAddress(handshake.address);
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, part) => ((acc << 8) + Number(part)) >>> 0, 0);
+}
+
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+function inIpv4Range(ip, base, prefix) {
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(base) & mask);
+}
+
+// Expand an IPv6 address into its eight 16-bit groups
+function expandIpv6(ip) {
+  let address = ip;
+  // Embedded IPv4 tail (e.g. 64:ff9b::1.2.3.4)
+  const lastColon = address.lastIndexOf(':');
+  const tailV4 = address.slice(lastColon + 1);
+  if (net.isIPv4(tailV4)) {
+    const value = ipv4ToInt(tailV4);
+    address = `${address.slice(0, lastColon + 1)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...Array(missing).fill('0'), ...tailParts].map(part => parseInt(part, 16) || 0);
+}
+
+function ipv6Prefix(ip, prefix) {
+  const groups = expandIpv6(ip);
+  const masked = groups.map((group, i) => {
+    const bits = Math.max(0, Math.min(16, prefix - i * 16));
+    return bits === 0 ? 0 : group & ((0xffff << (16 - bits)) & 0xffff);
+  });
+  return `${masked.map(group => group.toString(16)).join(':')}/${prefix}`;
+}
+
+function isLoopback(ip) {
+  return net.isIPv4(ip) ? inIpv4Range(ip, '127.0.0.0', 8) : ip === '::1';
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    return inIpv4Range(ip, '10.0.0.0', 8) ||
+      inIpv4Range(ip, '172.16.0.0', 12) ||
+      inIpv4Range(ip, '192.168.0.0', 16) ||
+      inIpv4Range(ip, '169.254.0.0', 16);
+  }
+  const first = expandIpv6(ip)[0];
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80;
+}
+
+// Private addresses of this machine, used to place loopback clients on the server's own LAN
+function getLocalAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface => iface && !iface.internal)
+    .map(iface => normalizeAddress(iface.address))
+    .filter(ip => ip && isPrivateAddress(ip))
+    .sort((a, b) => Number(net.isIPv6(a)) - Number(net.isIPv6(b)));
+}
+
+// Group key for an address:
+//   lan:<subnet>  private subnet (IPv4 /24, IPv6 /64 by default)
+//   wan:<ip>      shared public IPv4 (devices behind the same NAT)
+//   wan:<prefix>  public IPv6 /64
+function getNetworkGroup(address, options = {}) {
+  const {
+    ipv4Prefix = DEFAULT_IPV4_PREFIX,
+    ipv6Prefix: v6Prefix = DEFAULT_IPV6_PREFIX,
+    localAddresses = []
+  } = options;
+
+  const ip = normalizeAddress(address);
+  if (!ip) return 'unknown';
+
+  if (isLoopback(ip)) {
+    const local = localAddresses.map(normalizeAddress).find(Boolean);
+    return local && !isLoopback(local) ? getNetworkGroup(local, { ipv4Prefix, ipv6Prefix: v6Prefix }) : 'lan:loopback';
+  }
+
+  if (net.isIPv4(ip)) {
+    if (!isPrivateAddress(ip)) return `wan:${ip}`;
+    const mask = ipv4Prefix === 0 ? 0 : (~0 << (32 - ipv4Prefix)) >>> 0;
+    return `lan:${intToIpv4(ipv4ToInt(ip) & mask)}/${ipv4Prefix}`;
+  }
+
+  return `${isPrivateAddress(ip) ? 'lan' : 'wan'}:${ipv6Prefix(ip, v6Prefix)}`;
+}
+
+module.exports = {
+  normalizeAddress,
+  getClientAddress,
+  isPrivateAddress,
+  getLocalAddresses,
+  getNetworkGroup
+};
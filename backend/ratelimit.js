@@ -0,0 +1,78 @@
+// Request throttling for the signaling server.
+// Everything here is pure (the clock is passed in) so it can be exercised without a server.
+
+// Fixed-window counter per key: at most `limit` hits every `windowMs`
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key → { start, count }
+
+  // True if the hit is allowed (and counted)
+  function take(key, now = Date.now()) {
+    const current = windows.get(key);
+    if (!current || now - current.start >= windowMs) {
+      windows.set(key, { start: now, count: 1 });
+      return true;
+    }
+    if (current.count >= limit) return false;
+    current.count++;
+    return true;
+  }
+
+  function forget(key) {
+    windows.delete(key);
+  }
+
+  return { take, forget };
+}
+
+// Unanswered requests per sender → recipient pair, each forgotten after `ttlMs`
+function createPendingTracker({ limit, ttlMs }) {
+  const pairs = new Map(); // "from>to" → Map<transferId, sentAt>
+
+  const pairKey = (from, to) => `${from}>${to}`;
+
+  function prune(key, now) {
+    const pending = pairs.get(key);
+    if (!pending) return null;
+    pending.forEach((sentAt, id) => {
+      if (now - sentAt >= ttlMs) pending.delete(id);
+    });
+    if (!pending.size) {
+      pairs.delete(key);
+      return null;
+    }
+    return pending;
+  }
+
+  // True if the request fits under the cap (and is now pending); a repeated id is always allowed
+  function add(from, to, transferId, now = Date.now()) {
+    const key = pairKey(from, to);
+    const pending = prune(key, now) || new Map();
+    if (!pending.has(transferId) && pending.size >= limit) return false;
+    pending.set(transferId, now);
+    pairs.set(key, pending);
+    return true;
+  }
+
+  function resolve(from, to, transferId) {
+    const key = pairKey(from, to);
+    const pending = pairs.get(key);
+    if (!pending) return;
+    pending.delete(transferId);
+    if (!pending.size) pairs.delete(key);
+  }
+
+  // Drop every pair a device is part of
+  function forgetDevice(id) {
+    for (const key of pairs.keys()) {
+      const [from, to] = key.split('>');
+      if (from === id || to === id) pairs.delete(key);
+    }
+  }
+
+  return { add, resolve, forgetDevice };
+}
+
+module.exports = {
+  createRateLimiter,
+  createPendingTracker
+};
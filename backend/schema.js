@@ -0,0 +1,133 @@
+// Payload schemas for every event a client may send.
+// A field is { type, required, nullable, min, max, pattern }; `max` is a length for
+// strings and arrays and an upper bound for numbers. Fields not listed are dropped,
+// so nothing a client makes up (such as `from`) ever reaches a handler.
+// `target: true` marks the device id the event is addressed to.
+
+const TRANSFER_ID = { type: 'string', required: true, max: 64, pattern: /^[A-Za-z0-9-]+$/ };
+const TARGET = { type: 'string', required: true, max: 64, target: true };
+const NONCE = { type: 'string', max: 64, pattern: /^[0-9a-f]+$/ };
+
+const SCHEMAS = {
+  join: {
+    deviceId: { type: 'string', max: 64, pattern: /^[A-Za-z0-9-]{8,64}$/ },
+    deviceSecret: { type: 'string', max: 128, pattern: /^[A-Za-z0-9_-]{32,128}$/ }, // Proves the browser owns deviceId; only its hash is kept
+    name: { type: 'string', max: 64 },
+    room: { type: 'string', max: 32, nullable: true },
+    device: { type: 'object' }
+  },
+  'create-room': {},
+  'join-room': {
+    room: { type: 'string', required: true, max: 32 }
+  },
+  'leave-room': {},
+  signal: {
+    to: TARGET,
+    transferId: TRANSFER_ID,
+    signal: { type: 'object', required: true }
+  },
+  'batch-request': {
+    to: TARGET,
+    transferId: TRANSFER_ID,
+    fileCount: { type: 'integer', required: true, min: 0 },
+    totalSize: { type: 'string', max: 32 },
+    totalBytes: { type: 'number', min: 0 },
+    manifest: { type: 'array', nullable: true },
+    manifestTruncated: { type: 'boolean' },
+    auth: { type: 'object' }
+  },
+  'batch-answer': {
+    to: TARGET,
+    transferId: TRANSFER_ID,
+    accepted: { type: 'boolean', required: true },
+    files: { type: 'array' },
+    reason: { type: 'string', max: 200 }
+  },
+  'relay-open': {
+    to: TARGET,
+    transferId: TRANSFER_ID
+  },
+  'relay-data': {
+    transferId: TRANSFER_ID,
+    data: { type: 'binary', required: true }
+  },
+  'relay-close': {
+    transferId: TRANSFER_ID
+  },
+  'ice-config': {},
+  'block-device': {
+    id: TARGET
+  },
+  'unblock-device': {
+    id: { type: 'string', required: true, max: 64 }
+  },
+  'pair-request': {
+    to: TARGET,
+    publicKey: { type: 'object', required: true },
+    nonce: { ...NONCE, required: true }
+  },
+  'pair-answer': {
+    to: TARGET,
+    accepted: { type: 'boolean', required: true },
+    publicKey: { type: 'object' },
+    nonce: NONCE
+  },
+  rename: {
+    name: { type: 'string', required: true, max: 64 }
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  binary: value => Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+};
+
+function checkField(name, spec, value) {
+  if (!TYPE_CHECKS[spec.type](value)) return `${name} must be ${/^[aeiou]/.test(spec.type) ? 'an' : 'a'} ${spec.type}`;
+  const size = typeof value === 'string' || Array.isArray(value) ? value.length : value;
+  if (spec.min !== undefined && typeof size === 'number' && size < spec.min) return `${name} is too small`;
+  if (spec.max !== undefined && typeof size === 'number' && size > spec.max) return `${name} is too long`;
+  if (spec.pattern && !spec.pattern.test(value)) return `${name} is malformed`;
+  return null;
+}
+
+// { ok: true, value } with only the known fields, or { ok: false, error }
+function validatePayload(event, data) {
+  const schema = SCHEMAS[event];
+  if (!schema) return { ok: false, error: `Unknown event ${event}` };
+
+  // Events without fields may be sent bare
+  const payload = data === undefined || data === null ? {} : data;
+  if (!TYPE_CHECKS.object(payload)) return { ok: false, error: 'Payload must be an object' };
+
+  const value = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const field = payload[name];
+    if (field === undefined || (field === null && spec.nullable)) {
+      if (spec.required) return { ok: false, error: `${name} is required` };
+      if (field === null) value[name] = null;
+      continue;
+    }
+    const error = checkField(name, spec, field);
+    if (error) return { ok: false, error };
+    value[name] = field;
+  }
+  return { ok: true, value };
+}
+
+// Name of the field that addresses another socket, if the event has one
+function targetField(event) {
+  const entry = Object.entries(SCHEMAS[event] || {}).find(([, spec]) => spec.target);
+  return entry ? entry[0] : null;
+}
+
+module.exports = {
+  EVENT_NAMES: Object.keys(SCHEMAS),
+  validatePayload,
+  targetField
+};
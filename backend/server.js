@@ -1,112 +1,802 @@
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const https = require('https');
+const path = require('path');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const { getClientAddress, getLocalAddresses, getNetworkGroup } = require('./network');
+const { loadIceSettings, getIceConfig, describeIceSettings } = require('./ice');
+const { EVENT_NAMES, validatePayload, targetField } = require('./schema');
+const { createRateLimiter, createPendingTracker } = require('./ratelimit');
+const { normalizeName, uniqueName } = require('./names');
+const { createMetrics } = require('./metrics');
+const { loadLogSettings, createLogger } = require('./logger');
+const { loadTlsSettings, loadCertificate } = require('./tls');
+
+// Leveled, structured logs (see logger.js for LOG_LEVEL, LOG_FORMAT and LOG_REDACT_NAMES)
+const log = createLogger(loadLogSettings());
 
 const app = express();
 app.use(cors());
 
-const server = http.createServer(app);
+// HTTPS with a provided or self-signed certificate (see tls.js); browsers need a secure context
+// for WebCrypto (trusted devices) and folder saving, which http://<LAN IP> is not
+const TLS_SETTINGS = loadTlsSettings();
+const TLS_CERTIFICATE = TLS_SETTINGS.enabled
+  ? loadCertificate(TLS_SETTINGS, ['localhost', '127.0.0.1', ...getLocalAddresses()])
+  : null;
+const server = TLS_CERTIFICATE
+  ? https.createServer({ cert: TLS_CERTIFICATE.cert, key: TLS_CERTIFICATE.key }, app)
+  : http.createServer(app);
+
+// The built frontend (`npm run build` in frontend/), so the app and its signaling share one origin
+const SERVE_FRONTEND = process.env.SERVE_FRONTEND === 'on';
+const FRONTEND_DIR = path.resolve(process.env.FRONTEND_DIR || path.join(__dirname, '..', 'frontend', 'dist'));
 const io = new Server(server, {
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
-  }
+  },
+  // Room for a full batch-request manifest
+  maxHttpBufferSize: 2 * 1024 * 1024
 });
 
-// Single lobby - everyone in one room
+// Users without a room code are grouped by network; private rooms are keyed by code
 const users = new Map();
 const MAIN_LOBBY = 'main-lobby';
+// Users are keyed by the device ID each browser keeps in localStorage, not by socket.id.
+// A device that drops off stays listed for RECONNECT_GRACE, and events for it are held
+// (up to MAX_OUTBOX) until it is back, so a short WiFi blip loses nothing.
+const RECONNECT_GRACE = Number(process.env.RECONNECT_GRACE) || 15 * 1000;
+const MAX_OUTBOX = 200;
+// Device IDs are public (every 'users' list carries them), so a join may only take one over with
+// the secret that first claimed it. Claims (SHA-256 of the secret) outlive the user entry, so an
+// ID stays bound to its browser while it is offline; the oldest go once MAX_DEVICE_CLAIMS is reached.
+const MAX_DEVICE_CLAIMS = 50000;
+const deviceClaims = new Map(); // deviceId → secret hash
+const DEVICE_FORM_FACTORS = ['phone', 'tablet', 'desktop'];
+const NETWORK_GROUPING = process.env.NETWORK_GROUPING !== 'off';
+// Reverse proxies in front of the server whose X-Forwarded-For entries count ('true' = 1)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' ? 1 : Number(process.env.TRUST_PROXY) || 0;
+const NETWORK_OPTIONS = {
+  ipv4Prefix: Number(process.env.NETWORK_IPV4_PREFIX) || undefined,
+  ipv6Prefix: Number(process.env.NETWORK_IPV6_PREFIX) || undefined,
+  localAddresses: getLocalAddresses()
+};
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{3,16}$/;
+
+// Manifest caps: entries beyond these are dropped and the request is marked truncated
+const MAX_MANIFEST_ENTRIES = 5000;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_MANIFEST_STRING = 1024;
+// Previews (thumbnails, text snippets) ride on manifest entries under a budget of their own;
+// previews past it are dropped, the entries stay
+const MAX_PREVIEW_BYTES = 512 * 1024;
+const MAX_PREVIEW_ITEM = 64 * 1024;
+const MAX_PREVIEW_TEXT = 1000;
+const PREVIEW_IMAGE_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+
+// Relay fallback (opt-in): file frames go through this server when WebRTC can't connect.
+// Each session is capped in total bytes and in bytes not yet acknowledged by the receiver.
+const RELAY_ENABLED = process.env.RELAY === 'on';
+const RELAY_MAX_BYTES = Number(process.env.RELAY_MAX_BYTES) || 512 * 1024 * 1024;
+const RELAY_WINDOW = 4 * 1024 * 1024;
+const RELAY_ACK_TIMEOUT = 30000;
+const relays = new Map(); // transferId → { id, devices: [a, b], bytes, inFlight }
+
+// Spam protection for batch-request: per-minute limits for each sender and each recipient,
+// and a cap on requests one device has waiting on another
+const REQUEST_RATE_LIMIT = Number(process.env.REQUEST_RATE_LIMIT) || 30;
+const REQUEST_TARGET_RATE_LIMIT = Number(process.env.REQUEST_TARGET_RATE_LIMIT) || 20;
+const MAX_PENDING_REQUESTS = Number(process.env.MAX_PENDING_REQUESTS) || 3;
+const PENDING_REQUEST_TTL = 2 * 60 * 1000;
+const senderLimiter = createRateLimiter({ limit: REQUEST_RATE_LIMIT, windowMs: 60 * 1000 });
+const targetLimiter = createRateLimiter({ limit: REQUEST_TARGET_RATE_LIMIT, windowMs: 60 * 1000 });
+const pendingRequests = createPendingTracker({ limit: MAX_PENDING_REQUESTS, ttlMs: PENDING_REQUEST_TTL });
+// Renames are broadcast to everyone nearby, so they are throttled too
+const renameLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 1000 });
+
+// Session block lists: blocker device id → Map<blocked device id, name at the time>
+const blocks = new Map();
+// Events that name a device without sending it anything; being blocked by it doesn't stop them
+const BLOCK_EXEMPT_EVENTS = new Set(['block-device', 'unblock-device']);
+
+// STUN/TURN servers for WebRTC (see ice.js for the settings)
+const ICE_SETTINGS = loadIceSettings();
+
+// Counters behind /api/stats and /metrics (gauges are read from the live state when scraped)
+const metrics = createMetrics();
+const connectionsTotal = metrics.counter('socket_connections_total', 'Socket.IO connections accepted');
+const signalsRelayed = metrics.counter('signals_relayed_total', 'WebRTC signals forwarded between devices');
+const batchRequests = metrics.counter('batch_requests_total', 'Transfer requests forwarded to a recipient');
+const batchAnswers = metrics.counter('batch_answers_total', 'Answers to transfer requests', [{ answer: 'accepted' }, { answer: 'declined' }]);
+const relayBytes = metrics.counter('relay_bytes_total', 'File bytes streamed through the server relay');
+const rejectedEvents = metrics.counter('rejected_events_total', 'Client events refused (invalid, rate limited, blocked, unknown)', []);
+const handlerErrors = metrics.counter('handler_errors_total', 'Event handlers that threw', []);
+metrics.gauge('devices', 'Joined devices by connection state', () => {
+  const { connected, reconnecting } = countDevices();
+  return [{ labels: { state: 'connected' }, value: connected }, { labels: { state: 'reconnecting' }, value: reconnecting }];
+});
+metrics.gauge('rooms', 'Private rooms with at least one device', () => countRooms());
+metrics.gauge('relays', 'Transfers currently going through the server relay', () => relays.size);
+metrics.gauge('uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
 
 io.on('connection', (socket) => {
-  console.log(`✅ User connected: ${socket.id}`);
+  // Group by LAN unless grouping is disabled (then everyone shares MAIN_LOBBY)
+  const address = getClientAddress(socket.handshake, { trustProxy: TRUST_PROXY });
+  const network = NETWORK_GROUPING ? getNetworkGroup(address, NETWORK_OPTIONS) : null;
+  log.info('Socket connected', { event: 'connect', socketId: socket.id, address: address || 'unknown', network: network || MAIN_LOBBY });
+  connectionsTotal.inc();
 
-  // Automatically join main lobby
-  socket.join(MAIN_LOBBY);
+  // Automatically join the network lobby
+  socket.join(roomChannel(null, network));
 
-  // 1. JOIN - User joins and gets their ID
-  socket.on('join', (data) => {
-    const userName = data.name || `User-${socket.id.slice(0, 4)}`;
-    users.set(socket.id, { id: socket.id, name: userName });
+  // Every event goes through here: the payload is checked against its schema (schema.js),
+  // and events addressed to another socket must name a registered user in the same room
+  // who has not blocked the sender. The sender is always the device this socket joined as,
+  // never a field the client sent.
+  const handle = (event, handler) => {
+    socket.on(event, (...args) => {
+      const reply = typeof args[args.length - 1] === 'function' ? args.pop() : () => { };
+      const result = validatePayload(event, args[0]);
+      if (!result.ok) return rejectEvent(socket, event, result.error, reply);
 
-    console.log(`👤 ${userName} joined main lobby (ID: ${socket.id})`);
+      const field = targetField(event);
+      if (field) {
+        const to = result.value[field];
+        const details = { transferId: result.value.transferId };
+        if (!users.has(to)) return rejectEvent(socket, event, 'Unknown device', reply, details);
+        if (!inSameRoom(deviceOf(socket), to)) return rejectEvent(socket, event, 'That device is not in your room', reply, details);
+        if (!BLOCK_EXEMPT_EVENTS.has(event) && isBlocked(to, deviceOf(socket))) {
+          return rejectEvent(socket, event, 'That device is not accepting requests from you', reply, details);
+        }
+      }
+      try {
+        handler(result.value, reply);
+      } catch (err) {
+        handlerErrors.inc({ event });
+        log.error('Event handler failed', { event, socketId: socket.id, deviceId: deviceOf(socket), err });
+        reply({ ok: false, error: 'Server error' });
+      }
+    });
+  };
+
+  socket.onAny((event) => {
+    if (!EVENT_NAMES.includes(event)) rejectEvent(socket, event, 'Unknown event', () => { });
+  });
+
+  // 1. JOIN - User joins as their device (old clients without a secret fall back to the socket id)
+  handle('join', (data) => {
+    const deviceId = deviceOf(socket) || claimDeviceId(data.deviceId, data.deviceSecret) || socket.id;
+    if (data.deviceId && deviceId !== data.deviceId) {
+      log.warn('Device ID not granted, assigned a fresh one', { event: 'join', socketId: socket.id, requested: data.deviceId, deviceId });
+    }
+    const requestedName = normalizeName(data.name) || `User-${deviceId.slice(0, 4)}`;
+    const userName = uniqueName(requestedName, name => isNameTaken(name, deviceId));
+    const room = normalizeRoomCode(data.room);
+    const existing = users.get(deviceId);
+    const previousChannel = existing && roomChannel(existing.room, existing.network);
+
+    // A repeated join starts over from the network lobby
+    if (existing?.room) {
+      socket.leave(roomChannel(existing.room, network));
+      socket.join(roomChannel(null, network));
+    }
+    clearTimeout(existing?.removeTimer);
+    socket.data.deviceId = deviceId;
+    const device = sanitizeDevice(data.device);
+    const user = { id: deviceId, socketId: socket.id, name: userName, device, room: null, network, outbox: [] };
+    users.set(deviceId, user);
+
+    // Another socket still speaks for this device: a reconnect that beat the old disconnect, or a second tab
+    if (existing?.socketId && existing.socketId !== socket.id) {
+      const previousSocket = io.sockets.sockets.get(existing.socketId);
+      if (previousSocket) {
+        previousSocket.emit('session-replaced');
+        previousSocket.disconnect(true);
+      }
+    }
+
+    log.info(existing ? 'Device rejoined' : 'Device joined', {
+      event: 'join',
+      socketId: socket.id,
+      deviceId,
+      name: userName,
+      network: network || MAIN_LOBBY,
+      os: device?.os,
+      browser: device?.browser
+    });
 
-    // Send user their own ID
-    socket.emit('me', { id: socket.id });
+    // Send user their own ID and the network they were grouped into
+    socket.emit('me', { id: deviceId, network, relay: RELAY_ENABLED ? { maxBytes: RELAY_MAX_BYTES } : null });
+    socket.emit('name-assigned', { name: userName, requested: requestedName });
+    socket.emit('ice-config', getIceConfig(ICE_SETTINGS, deviceId));
+    sendBlockedDevices(deviceId);
 
-    // Broadcast updated user list to everyone in lobby
-    broadcastUsers();
+    if (data.room && !room) {
+      socket.emit('room-error', { message: 'Invalid room code' });
+    }
+
+    if (room) {
+      moveToRoom(socket, room, 'join');
+    } else {
+      // Broadcast updated user list to everyone on the same network
+      broadcastUsers(roomChannel(null, network), 'join');
+    }
+    if (previousChannel && previousChannel !== roomChannel(user.room, user.network)) {
+      broadcastUsers(previousChannel, 'join');
+    }
+
+    // Whatever arrived while the device was away (requests, answers, signals)
+    existing?.outbox?.forEach(([event, payload]) => socket.emit(event, payload));
+  });
+
+  // 2. CREATE-ROOM - Generate a fresh code and move the user into it
+  handle('create-room', () => {
+    if (!users.has(deviceOf(socket))) return;
+    moveToRoom(socket, generateRoomCode(), 'create-room');
+  });
+
+  // 3. JOIN-ROOM - Move the user into an existing or shared room code
+  handle('join-room', (data) => {
+    if (!users.has(deviceOf(socket))) return;
+    const room = normalizeRoomCode(data.room);
+    if (!room) {
+      socket.emit('room-error', { message: 'Invalid room code' });
+      return;
+    }
+    moveToRoom(socket, room, 'join-room');
   });
 
-  // 2. SIGNAL - Relay WebRTC signals between peers
-  socket.on('signal', (data) => {
-    const { to, signal, from } = data;
-    const fromUser = users.get(from);
-    const toUser = users.get(to);
+  // 4. LEAVE-ROOM - Return the user to the public lobby
+  handle('leave-room', () => {
+    if (!users.has(deviceOf(socket))) return;
+    moveToRoom(socket, null, 'leave-room');
+  });
 
-    console.log(`📡 Relaying signal: ${fromUser?.name || from} → ${toUser?.name || to}`);
+  // 5. SIGNAL - Relay WebRTC signals between peers
+  handle('signal', (data) => {
+    const { to, signal, transferId } = data;
+    log.debug('Relaying signal', { event: 'signal', deviceId: deviceOf(socket), to, transferId, type: signal.type });
 
-    // Forward signal to target user
-    io.to(to).emit('signal', {
+    // Forward signal to target user (transferId picks the peer connection on their side)
+    signalsRelayed.inc();
+    sendToDevice(to, 'signal', {
       signal: signal,
-      from: from
+      from: deviceOf(socket),
+      transferId: transferId
     });
   });
 
-  // 3. BATCH-REQUEST - Transfer request (for debugging)
-  socket.on('batch-request', (data) => {
-    const fromUser = users.get(data.from);
-    const toUser = users.get(data.to);
-    console.log(`📨 TRANSFER İSTEĞİ GELDİ: ${fromUser?.name || data.from} -> ${toUser?.name || data.to}`);
-    console.log(`   📦 Dosya sayısı: ${data.fileCount}, Boyut: ${data.totalSize}`);
+  // 6. BATCH-REQUEST - Transfer request (for debugging)
+  handle('batch-request', (data, reply) => {
+    const fromUser = users.get(deviceOf(socket));
+    const details = { transferId: data.transferId };
+
+    // Floods stop here, before the recipient sees a modal (blocked senders already did, in handle())
+    if (!senderLimiter.take(deviceOf(socket))) {
+      return rejectEvent(socket, 'batch-request', 'Too many transfer requests. Wait a minute and try again.', reply, details);
+    }
+    if (!targetLimiter.take(data.to)) {
+      return rejectEvent(socket, 'batch-request', 'That device is getting too many requests. Try again shortly.', reply, details);
+    }
+    if (!pendingRequests.add(deviceOf(socket), data.to, data.transferId)) {
+      return rejectEvent(socket, 'batch-request', 'That device has not answered your earlier requests yet', reply, details);
+    }
 
     // Forward request to target user
-    io.to(data.to).emit('batch-request', {
-      from: data.from,
-      fromName: fromUser?.name || 'Unknown',
+    const { manifest, truncated } = sanitizeManifest(data.manifest);
+    log.info('Transfer requested', {
+      event: 'batch-request',
+      deviceId: deviceOf(socket),
+      to: data.to,
+      transferId: data.transferId,
+      fileCount: data.fileCount,
+      totalBytes: data.totalBytes,
+      manifestEntries: manifest ? manifest.length : 0,
+      manifestCapped: truncated,
+      signed: !!data.auth
+    });
+
+    batchRequests.inc();
+    sendToDevice(data.to, 'batch-request', {
+      from: deviceOf(socket),
+      fromName: fromUser.name,
+      transferId: data.transferId,
       fileCount: data.fileCount,
       totalSize: data.totalSize,
-      totalBytes: data.totalBytes
+      totalBytes: data.totalBytes,
+      manifest,
+      manifestTruncated: truncated || !!data.manifestTruncated,
+      auth: sanitizeAuth(data.auth)
     });
   });
 
-  // 4. BATCH-ANSWER - Transfer response
-  socket.on('batch-answer', (data) => {
-    const fromUser = users.get(socket.id);
-    const toUser = users.get(data.to);
-    console.log(`📬 Transfer ${data.accepted ? 'KABUL EDİLDİ' : 'REDDEDİLDİ'}: ${fromUser?.name} -> ${toUser?.name}`);
+  // 7. BATCH-ANSWER - Transfer response
+  handle('batch-answer', (data) => {
+    log.info(data.accepted ? 'Transfer accepted' : 'Transfer declined', {
+      event: 'batch-answer',
+      deviceId: deviceOf(socket),
+      to: data.to,
+      transferId: data.transferId,
+      selectedFiles: Array.isArray(data.files) ? data.files.length : undefined,
+      byPolicy: data.reason ? true : undefined
+    });
+
+    pendingRequests.resolve(data.to, deviceOf(socket), data.transferId);
+    batchAnswers.inc({ answer: data.accepted ? 'accepted' : 'declined' });
 
     // Forward answer to requester
-    io.to(data.to).emit('batch-answer', {
-      from: socket.id,
-      accepted: data.accepted
+    sendToDevice(data.to, 'batch-answer', {
+      from: deviceOf(socket),
+      accepted: data.accepted,
+      transferId: data.transferId,
+      files: sanitizeFileSelection(data.files),
+      reason: data.reason // Set when the receiver's acceptance policy answered
     });
   });
 
-  // 5. DISCONNECT - Remove user from pool
+  // 8. RELAY-OPEN - Start relaying a transfer between two devices (WebRTC fallback)
+  handle('relay-open', (data, ack) => {
+    const { to, transferId } = data;
+    if (!RELAY_ENABLED) return ack({ ok: false, error: 'Relay is disabled on this server' });
+    const existing = relays.get(transferId);
+    if (existing && !existing.devices.includes(deviceOf(socket))) {
+      return ack({ ok: false, error: 'Transfer is relayed by another device' });
+    }
+
+    relays.set(transferId, { id: transferId, devices: [deviceOf(socket), to], bytes: existing?.bytes || 0, inFlight: 0 });
+    log.info('Relay opened', { event: 'relay-open', deviceId: deviceOf(socket), to, transferId });
+
+    // The receiver hears about the session before the first frame can reach it
+    sendToDevice(to, 'relay-open', { from: deviceOf(socket), transferId });
+    ack({ ok: true });
+  });
+
+  // 9. RELAY-DATA - Forward one frame, acknowledged once the other side has taken it
+  handle('relay-data', (data, ack) => {
+    const relay = relays.get(data.transferId);
+    if (!relay || !relay.devices.includes(deviceOf(socket))) return ack({ ok: false, error: 'No relay for this transfer' });
+
+    const size = data.data.byteLength;
+    if (relay.inFlight + size > RELAY_WINDOW) return ack({ ok: false, error: 'Relay window exceeded' });
+    if (relay.bytes + size > RELAY_MAX_BYTES) {
+      ack({ ok: false, error: 'Relay size limit reached' });
+      closeRelay(relay, null);
+      return;
+    }
+
+    const target = io.sockets.sockets.get(users.get(relay.devices.find(id => id !== deviceOf(socket)))?.socketId);
+    if (!target) return ack({ ok: false, error: 'The other device is gone' });
+
+    relay.bytes += size;
+    relayBytes.inc({}, size);
+    relay.inFlight += size;
+    target.timeout(RELAY_ACK_TIMEOUT).emit('relay-data', { transferId: relay.id, data: data.data }, (err, res) => {
+      relay.inFlight -= size;
+      ack(err ? { ok: false, error: 'The other device stopped answering' } : res);
+    });
+  });
+
+  // 10. RELAY-CLOSE - Either side ends the session
+  handle('relay-close', (data) => {
+    const relay = relays.get(data.transferId);
+    if (relay && relay.devices.includes(deviceOf(socket))) closeRelay(relay, deviceOf(socket));
+  });
+
+  // 11. ICE-CONFIG - Fresh ICE servers on request (time-limited TURN credentials run out)
+  handle('ice-config', () => {
+    socket.emit('ice-config', getIceConfig(ICE_SETTINGS, deviceOf(socket)));
+  });
+
+  // 12. BLOCK-DEVICE - Drop another device's requests for the rest of this session
+  handle('block-device', (data) => {
+    const deviceId = deviceOf(socket);
+    if (!blocks.has(deviceId)) blocks.set(deviceId, new Map());
+    blocks.get(deviceId).set(data.id, users.get(data.id).name);
+    log.info('Device blocked', { event: 'block-device', deviceId, blocked: data.id });
+    sendBlockedDevices(deviceId);
+    // Their events are dropped from now on, relayed transfers included
+    relays.forEach(relay => {
+      if (relay.devices.includes(deviceId) && relay.devices.includes(data.id)) closeRelay(relay, null);
+    });
+  });
+
+  // 13. UNBLOCK-DEVICE - Undo a block (the device may have left since)
+  handle('unblock-device', (data) => {
+    blocks.get(deviceOf(socket))?.delete(data.id);
+    sendBlockedDevices(deviceOf(socket));
+  });
+
+  // 14. PAIR-REQUEST - Offer our public key to another device (they confirm a code on both screens)
+  handle('pair-request', (data, reply) => {
+    const fromUser = users.get(deviceOf(socket));
+    const publicKey = sanitizePublicKey(data.publicKey);
+    if (!publicKey) return rejectEvent(socket, 'pair-request', 'Invalid public key', reply);
+    if (!senderLimiter.take(deviceOf(socket)) || !targetLimiter.take(data.to)) {
+      return rejectEvent(socket, 'pair-request', 'Too many requests. Wait a minute and try again.', reply);
+    }
+
+    log.info('Pairing requested', { event: 'pair-request', deviceId: deviceOf(socket), to: data.to });
+    sendToDevice(data.to, 'pair-request', { from: deviceOf(socket), fromName: fromUser.name, publicKey, nonce: data.nonce });
+  });
+
+  // 15. PAIR-ANSWER - The other device's key and nonce, or a refusal
+  handle('pair-answer', (data) => {
+    const publicKey = data.accepted ? sanitizePublicKey(data.publicKey) : null;
+    log.info(publicKey ? 'Pairing answered' : 'Pairing declined', { event: 'pair-answer', deviceId: deviceOf(socket), to: data.to });
+    sendToDevice(data.to, 'pair-answer', {
+      from: deviceOf(socket),
+      accepted: !!publicKey,
+      publicKey,
+      nonce: publicKey ? data.nonce : undefined
+    });
+  });
+
+  // 16. RENAME - Change the display name without reconnecting (suffixed if someone already has it)
+  handle('rename', (data, reply) => {
+    const user = users.get(deviceOf(socket));
+    if (!user) return;
+    if (!renameLimiter.take(user.id)) return rejectEvent(socket, 'rename', 'Too many renames, try again in a minute', reply);
+
+    const requested = normalizeName(data.name);
+    if (!requested) {
+      return rejectEvent(socket, 'rename', "Names are 1-32 letters, numbers, spaces or . ' ( ) _ -", reply);
+    }
+
+    const previous = user.name;
+    user.name = uniqueName(requested, name => isNameTaken(name, user.id));
+    log.info('Device renamed', { event: 'rename', deviceId: user.id, previousName: previous, name: user.name });
+    socket.emit('name-assigned', { name: user.name, requested });
+    broadcastUsers(roomChannel(user.room, user.network), 'rename');
+    reply({ ok: true, name: user.name });
+  });
+
+  // 17. DISCONNECT - Keep the device listed for a grace period, then remove it from the pool
   socket.on('disconnect', () => {
-    const user = users.get(socket.id);
-    if (user) {
-      console.log(`❌ ${user.name} disconnected`);
-      users.delete(socket.id);
-      broadcastUsers();
+    const user = users.get(deviceOf(socket));
+    if (!user || user.socketId !== socket.id) return; // Never joined, or replaced by a newer socket
+
+    // A relay can't outlive the socket it streams through
+    relays.forEach(relay => {
+      if (relay.devices.includes(user.id)) closeRelay(relay, user.id);
+    });
+
+    log.info('Device disconnected', { event: 'disconnect', socketId: socket.id, deviceId: user.id, graceMs: RECONNECT_GRACE });
+    user.socketId = null;
+    user.removeTimer = setTimeout(() => removeUser(user), RECONNECT_GRACE);
+  });
+});
+
+// Helper: Socket.IO channel for a room code, falling back to the network lobby
+function roomChannel(room, network) {
+  if (room) return `room:${room}`;
+  return network ? `net:${network}` : MAIN_LOBBY;
+}
+
+// Helper: Device ID a socket joined as (undefined before 'join')
+function deviceOf(socket) {
+  return socket.data.deviceId;
+}
+
+// Helper: Device ID for a join with `secret`: the requested one if that secret claimed it (or it is
+// free and nobody is using it), otherwise a fresh ID claimed for the secret. Null without a secret.
+function claimDeviceId(requestedId, secret) {
+  if (!secret) return null;
+  const hash = crypto.createHash('sha256').update(secret).digest();
+  if (requestedId) {
+    const claimed = deviceClaims.get(requestedId);
+    if (claimed ? crypto.timingSafeEqual(claimed, hash) : !users.has(requestedId)) {
+      rememberClaim(requestedId, hash);
+      return requestedId;
     }
+  }
+  const freshId = crypto.randomUUID();
+  rememberClaim(freshId, hash);
+  return freshId;
+}
+
+// Helper: Record (or refresh) a claim, dropping the least recently used past the cap
+function rememberClaim(deviceId, hash) {
+  deviceClaims.delete(deviceId);
+  deviceClaims.set(deviceId, hash);
+  if (deviceClaims.size > MAX_DEVICE_CLAIMS) deviceClaims.delete(deviceClaims.keys().next().value);
+}
+
+// Helper: Deliver an event to a device's current socket, or hold it while the device reconnects
+function sendToDevice(deviceId, event, payload) {
+  const user = users.get(deviceId);
+  if (!user) return;
+  if (user.socketId) {
+    io.to(user.socketId).emit(event, payload);
+  } else if (user.outbox.length < MAX_OUTBOX) {
+    user.outbox.push([event, payload]);
+  }
+}
+
+// Helper: Forget a device for good once its grace period is over
+function removeUser(user) {
+  if (users.get(user.id) !== user) return;
+  log.info('Device left', { event: 'disconnect', deviceId: user.id, name: user.name, room: user.room || undefined });
+  users.delete(user.id);
+  senderLimiter.forget(user.id);
+  targetLimiter.forget(user.id);
+  renameLimiter.forget(user.id);
+  pendingRequests.forgetDevice(user.id);
+  blocks.delete(user.id);
+  blocks.forEach((blocked, blockerId) => {
+    if (blocked.delete(user.id)) sendBlockedDevices(blockerId);
   });
+  broadcastUsers(roomChannel(user.room, user.network), 'disconnect');
+}
+
+// Helper: Refuse an event, telling the client which one and why (acked events also get the error).
+// `details` (such as the transferId) lets the client tie the error to what it was doing.
+// The message is logged as is, so it should not contain device names (they could not be redacted).
+function rejectEvent(socket, event, message, reply, details = {}) {
+  const known = EVENT_NAMES.includes(event);
+  log.warn('Event rejected', { event: known ? event : 'unknown', socketId: socket.id, deviceId: deviceOf(socket), reason: message, ...details });
+  rejectedEvents.inc({ event: known ? event : 'unknown' });
+  socket.emit('event-error', { ...details, event, message });
+  reply({ ok: false, error: message });
+}
+
+// Helper: `blockerId` has blocked requests from `id` this session
+function isBlocked(blockerId, id) {
+  return !!blocks.get(blockerId)?.has(id);
+}
+
+// Helper: Send a user their current block list
+function sendBlockedDevices(blockerId) {
+  const blocked = Array.from(blocks.get(blockerId) || [], ([id, name]) => ({ id, name }));
+  sendToDevice(blockerId, 'blocked-devices', blocked);
+}
+
+// Helper: Another device already goes by `name` (case-insensitive)
+function isNameTaken(name, ownId) {
+  const wanted = name.toLowerCase();
+  for (const user of users.values()) {
+    if (user.id !== ownId && user.name.toLowerCase() === wanted) return true;
+  }
+  return false;
+}
+
+// Helper: Uppercase and validate a user-supplied room code
+function normalizeRoomCode(room) {
+  if (typeof room !== 'string') return null;
+  const code = room.trim().toUpperCase();
+  return ROOM_CODE_PATTERN.test(code) ? code : null;
+}
+
+// Helper: Random room code that is not currently in use
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+    }
+  } while (io.sockets.adapter.rooms.has(roomChannel(code)));
+  return code;
+}
+
+// Helper: Both devices are registered and share the same room or network lobby
+function inSameRoom(a, b) {
+  const userA = users.get(a);
+  const userB = users.get(b);
+  return !!userA && !!userB &&
+    roomChannel(userA.room, userA.network) === roomChannel(userB.room, userB.network);
+}
+
+// Helper: Move a socket between rooms and refresh both user lists (`event` caused it, for the logs)
+function moveToRoom(socket, room, event) {
+  const user = users.get(deviceOf(socket));
+  const previous = user.room;
+
+  socket.leave(roomChannel(previous, user.network));
+  socket.join(roomChannel(room, user.network));
+  user.room = room;
+
+  log.info(room ? 'Device entered room' : 'Device back in lobby', { event, deviceId: user.id, room: room || undefined, previousRoom: previous || undefined });
+
+  socket.emit(room ? 'room-joined' : 'room-left', { room });
+
+  if (previous !== room) {
+    broadcastUsers(roomChannel(previous, user.network), event);
+  }
+  broadcastUsers(roomChannel(room, user.network), event);
+}
+
+// Helper: Keep only well-formed manifest entries, within the entry and byte caps
+function sanitizeManifest(manifest) {
+  if (!Array.isArray(manifest)) return { manifest: null, truncated: false };
+
+  const entries = [];
+  let bytes = 0;
+  let previewBytes = 0;
+  let truncated = manifest.length > MAX_MANIFEST_ENTRIES;
+
+  for (const entry of manifest.slice(0, MAX_MANIFEST_ENTRIES)) {
+    if (!entry || typeof entry.name !== 'string' || !Number.isInteger(entry.index)) continue;
+    const clean = {
+      index: entry.index,
+      name: entry.name.slice(0, MAX_MANIFEST_STRING),
+      path: typeof entry.path === 'string' ? entry.path.slice(0, MAX_MANIFEST_STRING) : entry.name.slice(0, MAX_MANIFEST_STRING),
+      size: Number.isFinite(entry.size) && entry.size >= 0 ? entry.size : 0,
+      type: typeof entry.type === 'string' ? entry.type.slice(0, 128) : ''
+    };
+    bytes += clean.name.length + clean.path.length + clean.type.length + 32;
+    if (bytes > MAX_MANIFEST_BYTES) {
+      truncated = true;
+      break;
+    }
+
+    const preview = sanitizePreview(entry.preview);
+    if (preview && previewBytes + preview.data.length <= MAX_PREVIEW_BYTES) {
+      clean.preview = preview;
+      previewBytes += preview.data.length;
+    }
+    entries.push(clean);
+  }
+
+  return { manifest: entries, truncated };
+}
+
+// Helper: A thumbnail (raster data URL) or text snippet for a manifest entry (null if malformed)
+function sanitizePreview(preview) {
+  if (!preview || typeof preview.data !== 'string') return null;
+  if (preview.kind === 'text') return { kind: 'text', data: preview.data.slice(0, MAX_PREVIEW_TEXT) };
+  if ((preview.kind === 'image' || preview.kind === 'video') && preview.data.length <= MAX_PREVIEW_ITEM && PREVIEW_IMAGE_PATTERN.test(preview.data)) {
+    return { kind: preview.kind, data: preview.data };
+  }
+  return null;
+}
+
+// Helper: Selected manifest indices from a batch-answer (undefined = everything)
+function sanitizeFileSelection(files) {
+  if (!Array.isArray(files)) return undefined;
+  return files.filter(Number.isInteger).slice(0, MAX_MANIFEST_ENTRIES);
+}
+
+// Helper: End a relay session and tell the side that didn't close it (both when `closedBy` is null)
+function closeRelay(relay, closedBy) {
+  relays.delete(relay.id);
+  log.info('Relay closed', { event: 'relay-close', transferId: relay.id, bytes: relay.bytes, closedBy: closedBy || 'server' });
+  relay.devices
+    .filter(id => id !== closedBy)
+    .forEach(id => sendToDevice(id, 'relay-close', { transferId: relay.id }));
+}
+
+// Helper: P-256 public key in JWK form, nothing else (null if malformed)
+function sanitizePublicKey(jwk) {
+  if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256') return null;
+  if (typeof jwk.x !== 'string' || typeof jwk.y !== 'string' || jwk.x.length > 64 || jwk.y.length > 64) return null;
+  return { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y };
+}
+
+// Helper: Signature block of a batch request from a paired device (checked by the receiver, not here)
+function sanitizeAuth(auth) {
+  if (!auth || typeof auth.keyId !== 'string' || typeof auth.signature !== 'string' || !Number.isFinite(auth.timestamp)) {
+    return undefined;
+  }
+  return { keyId: auth.keyId.slice(0, 64), signature: auth.signature.slice(0, 256), timestamp: auth.timestamp };
+}
+
+// Helper: What a device says about itself, cut down to known form factors and short labels (null if absent)
+function sanitizeDevice(device) {
+  if (!device) return null;
+  const label = (value) => (typeof value === 'string' ? value.slice(0, 32) : 'Unknown');
+  return {
+    formFactor: DEVICE_FORM_FACTORS.includes(device.formFactor) ? device.formFactor : 'desktop',
+    os: label(device.os),
+    browser: label(device.browser),
+    canSaveFolders: device.canSaveFolders === true
+  };
+}
+
+// Helper: Fields of a user that other clients may see (never the network/address)
+function publicUser(user) {
+  return { id: user.id, name: user.name, device: user.device, room: user.room };
+}
+
+// Helper: Broadcast current user list to all users in a room (`event` caused it, for the logs)
+function broadcastUsers(channel, event) {
+  const userList = Array.from(users.values())
+    .filter(u => roomChannel(u.room, u.network) === channel)
+    .map(publicUser);
+  io.to(channel).emit('users', userList);
+  log.debug('Broadcasting user list', { event, channel, users: userList.length });
+}
+
+// Helper: Joined devices, split by whether their socket is up or they are inside the reconnect grace
+function countDevices() {
+  let connected = 0;
+  users.forEach(user => {
+    if (user.socketId) connected++;
+  });
+  return { connected, reconnecting: users.size - connected };
+}
+
+// Helper: Private room codes currently in use
+function countRooms() {
+  return new Set(Array.from(users.values(), user => user.room).filter(Boolean)).size;
+}
+
+// Helper: Summary for /api/stats (counts only, never names or addresses)
+function getStats() {
+  const accepted = batchAnswers.get({ answer: 'accepted' });
+  const declined = batchAnswers.get({ answer: 'declined' });
+  return {
+    uptimeSeconds: Math.round(process.uptime()),
+    devices: countDevices(),
+    rooms: countRooms(),
+    relays: relays.size,
+    connections: connectionsTotal.get(),
+    signalsRelayed: signalsRelayed.get(),
+    relayBytes: relayBytes.get(),
+    batchRequests: batchRequests.get(),
+    batchAnswers: {
+      accepted,
+      declined,
+      acceptRate: accepted + declined ? Number((accepted / (accepted + declined)).toFixed(3)) : null
+    },
+    rejectedEvents: rejectedEvents.get(),
+    handlerErrors: handlerErrors.get()
+  };
+}
+
+// Monitoring: liveness, a JSON summary and Prometheus metrics
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+app.get('/api/stats', (req, res) => {
+  res.json(getStats());
 });
 
-// Helper: Broadcast current user list to all users in lobby
-function broadcastUsers() {
-  const userList = Array.from(users.values());
-  io.to(MAIN_LOBBY).emit('users', userList);
-  console.log(`📢 Broadcasting ${userList.length} users to main lobby`);
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Static app files; any other page load (such as a ?room= link) gets index.html, but a missing
+// asset (anything with an extension) stays a 404.
+// Registered last so the API routes above win; Socket.IO answers /socket.io/ before Express sees it.
+if (SERVE_FRONTEND) {
+  if (!fs.existsSync(path.join(FRONTEND_DIR, 'index.html'))) {
+    log.warn('No built frontend to serve, run `npm run build` in frontend/', { dir: FRONTEND_DIR });
+  }
+  app.use(express.static(FRONTEND_DIR));
+  app.use((req, res, next) => {
+    if (req.method !== 'GET' || path.extname(req.path) || !req.accepts('html')) return next();
+    res.sendFile(path.join(FRONTEND_DIR, 'index.html'), err => err && next());
+  });
 }
 
 const PORT = process.env.PORT || 3001;
 
-// CRITICAL: Listen on 0.0.0.0 to accept connections from network (mobile devices)
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 LocalLink Server running on port ${PORT}`);
-  console.log(`📱 Access from mobile: http://[YOUR-COMPUTER-IP]:${PORT}`);
-  console.log(`💻 Access from desktop: http://localhost:${PORT}`);
-  console.log(`🌍 Listening on all network interfaces (0.0.0.0)`);
-});
+// Started directly (`npm start`) it listens; the tests require it and pick a free port themselves
+if (require.main === module) {
+  // CRITICAL: Listen on 0.0.0.0 to accept connections from network (mobile devices)
+  server.listen(PORT, '0.0.0.0', () => {
+    // Other devices reach this machine by its LAN address, e.g. https://192.168.1.20:3001
+    const scheme = TLS_CERTIFICATE ? 'https' : 'http';
+    log.info('LocalLink server listening', {
+      host: '0.0.0.0',
+      port: Number(PORT),
+      // IPv4 only, like the socket: IPv6 addresses of this machine wouldn't answer
+      urls: ['localhost', ...getLocalAddresses().filter(host => !host.includes(':'))].map(host => `${scheme}://${host}:${PORT}`).join(' '),
+      frontend: SERVE_FRONTEND ? FRONTEND_DIR : 'off',
+      ice: describeIceSettings(ICE_SETTINGS),
+      monitoring: '/healthz /api/stats /metrics'
+    });
+    if (TLS_CERTIFICATE?.selfSigned) {
+      log.info('Using a self-signed certificate; accept it once in each browser', { fingerprint: TLS_CERTIFICATE.fingerprint });
+    }
+  });
+}
+
+module.exports = { app, server, io };
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, getClientAddress, isPrivateAddress, getNetworkGroup } = require('../network');
+
+describe('normalizeAddress', () => {
+  const cases = [
+    ['192.168.1.7', '192.168.1.7'],
+    ['::ffff:192.168.1.7', '192.168.1.7'],
+    ['::FFFF:10.0.0.1', '10.0.0.1'],
+    ['[fe80::1%eth0]', 'fe80::1'],
+    ['  FD00::ABCD ', 'fd00::abcd'],
+    ['not-an-ip', null],
+    [undefined, null]
+  ];
+  for (const [address, expected] of cases) {
+    it(`${JSON.stringify(address)} → ${expected}`, () => assert.equal(normalizeAddress(address), expected));
+  }
+});
+
+describe('isPrivateAddress', () => {
+  const cases = [
+    ['10.20.30.40', true],
+    ['172.16.0.1', true],
+    ['172.31.255.255', true],
+    ['172.32.0.1', false],
+    ['192.168.0.1', true],
+    ['169.254.10.10', true],
+    ['8.8.8.8', false],
+    ['fd12:3456::1', true],
+    ['fe80::1', true],
+    ['2001:db8::1', false]
+  ];
+  for (const [ip, expected] of cases) {
+    it(`${ip} → ${expected}`, () => assert.equal(isPrivateAddress(ip), expected));
+  }
+});
+
+describe('getNetworkGroup', () => {
+  const cases = [
+    // Private IPv4 groups by /24, IPv4-mapped IPv6 included
+    ['192.168.1.37', {}, 'lan:192.168.1.0/24'],
+    ['::ffff:192.168.1.200', {}, 'lan:192.168.1.0/24'],
+    ['[::ffff:10.0.0.5]', {}, 'lan:10.0.0.0/24'],
+    ['10.1.2.3', { ipv4Prefix: 16 }, 'lan:10.1.0.0/16'],
+    ['10.1.2.3', { ipv4Prefix: 0 }, 'lan:0.0.0.0/0'],
+    // Public IPv4 groups by the exact (NAT) address
+    ['203.0.113.9', {}, 'wan:203.0.113.9'],
+    ['::ffff:203.0.113.9', {}, 'wan:203.0.113.9'],
+    ['172.32.0.1', {}, 'wan:172.32.0.1'],
+    // IPv6 groups by /64
+    ['fd12:3456:789a:1::5', {}, 'lan:fd12:3456:789a:1:0:0:0:0/64'],
+    ['fe80::1%eth0', {}, 'lan:fe80:0:0:0:0:0:0:0/64'],
+    ['2001:db8:abcd:12:1::1', {}, 'wan:2001:db8:abcd:12:0:0:0:0/64'],
+    ['2001:db8:abcd:12:ffff::1', {}, 'wan:2001:db8:abcd:12:0:0:0:0/64'],
+    ['2001:db8:abcd:12:1::1', { ipv6Prefix: 48 }, 'wan:2001:db8:abcd:0:0:0:0:0/48'],
+    // Loopback joins the server's own LAN, if it has one
+    ['127.0.0.1', {}, 'lan:loopback'],
+    ['::1', {}, 'lan:loopback'],
+    ['::ffff:127.0.0.1', {}, 'lan:loopback'],
+    ['127.0.0.1', { localAddresses: ['192.168.1.5'] }, 'lan:192.168.1.0/24'],
+    ['::1', { localAddresses: ['::ffff:10.0.0.2'] }, 'lan:10.0.0.0/24'],
+    ['127.0.0.1', { localAddresses: ['192.168.1.5'], ipv4Prefix: 16 }, 'lan:192.168.0.0/16'],
+    ['127.0.0.1', { localAddresses: ['127.0.0.1'] }, 'lan:loopback'],
+    // Anything else
+    ['not-an-ip', {}, 'unknown'],
+    [null, {}, 'unknown']
+  ];
+  for (const [address, options, expected] of cases) {
+    it(`${address} ${JSON.stringify(options)} → ${expected}`, () => assert.equal(getNetworkGroup(address, options), expected));
+  }
+});
+
+describe('getClientAddress', () => {
+  const handshake = (forwarded) => ({
+    address: '::ffff:192.168.1.2',
+    headers: forwarded === undefined ? {} : { 'x-forwarded-for': forwarded }
+  });
+  const cases = [
+    [undefined, false, '192.168.1.2'],
+    ['203.0.113.7', false, '192.168.1.2'],
+    [undefined, true, '192.168.1.2'],
+    ['203.0.113.7', true, '203.0.113.7'],
+    ['::ffff:203.0.113.7', true, '203.0.113.7'],
+    ['', true, '192.168.1.2'],
+    ['garbage', true, '192.168.1.2'],
+    // Spoofed entries: the client sent the left ones, the proxy appended the one it saw
+    ['192.168.1.5, 203.0.113.7', true, '203.0.113.7'],
+    ['192.168.1.5, 10.9.9.9, 203.0.113.7', 1, '203.0.113.7'],
+    ['garbage, 203.0.113.7', true, '203.0.113.7'],
+    // Two trusted proxies: the client is what the outer one appended
+    ['192.168.1.5, 203.0.113.7, 10.0.0.3', 2, '203.0.113.7'],
+    ['203.0.113.7, 10.0.0.3', 2, '203.0.113.7'],
+    ['10.0.0.3', 2, '10.0.0.3'],
+    ['203.0.113.7', 0, '192.168.1.2']
+  ];
+  for (const [forwarded, trustProxy, expected] of cases) {
+    it(`X-Forwarded-For ${JSON.stringify(forwarded)}, trustProxy ${trustProxy} → ${expected}`, () => {
+      assert.equal(getClientAddress(handshake(forwarded), { trustProxy }), expected);
+    });
+  }
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createPendingTracker } = require('../ratelimit');
+
+describe('createRateLimiter', () => {
+  it('allows `limit` hits per window and resets when it ends', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    assert.equal(limiter.take('a', 0), true);
+    assert.equal(limiter.take('a', 10), true);
+    assert.equal(limiter.take('a', 999), false);
+    assert.equal(limiter.take('a', 1000), true);
+  });
+
+  it('counts keys separately and forgets them on request', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+    assert.equal(limiter.take('a', 0), true);
+    assert.equal(limiter.take('b', 0), true);
+    assert.equal(limiter.take('a', 1), false);
+    limiter.forget('a');
+    assert.equal(limiter.take('a', 2), true);
+  });
+});
+
+describe('createPendingTracker', () => {
+  it('caps unanswered requests per sender and recipient', () => {
+    const pending = createPendingTracker({ limit: 2, ttlMs: 1000 });
+    assert.equal(pending.add('a', 'b', 't1', 0), true);
+    assert.equal(pending.add('a', 'b', 't2', 0), true);
+    assert.equal(pending.add('a', 'b', 't3', 0), false);
+    assert.equal(pending.add('a', 'c', 't3', 0), true);
+    assert.equal(pending.add('c', 'b', 't3', 0), true);
+  });
+
+  it('always allows a repeated transfer ID', () => {
+    const pending = createPendingTracker({ limit: 1, ttlMs: 1000 });
+    assert.equal(pending.add('a', 'b', 't1', 0), true);
+    assert.equal(pending.add('a', 'b', 't1', 10), true);
+  });
+
+  it('frees a slot when a request is answered, expires or a device leaves', () => {
+    const pending = createPendingTracker({ limit: 1, ttlMs: 1000 });
+    pending.add('a', 'b', 't1', 0);
+    pending.resolve('a', 'b', 't1');
+    assert.equal(pending.add('a', 'b', 't2', 0), true);
+    assert.equal(pending.add('a', 'b', 't3', 1000), true);
+    pending.forgetDevice('b');
+    assert.equal(pending.add('a', 'b', 't4', 1000), true);
+  });
+});
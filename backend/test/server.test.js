@@ -0,0 +1,175 @@
+// Event handling in server.js, driven through real Socket.IO clients against an in-process server
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { io: connect } = require('socket.io-client');
+const { server, io } = require('../server');
+
+let url;
+const clients = [];
+
+// Resolves with the next `event` on `socket`, or rejects after `ms`
+const nextEvent = (socket, event, ms = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+// Resolves if `event` does not arrive within `ms`
+const noEvent = (socket, event, ms = 300) => new Promise((resolve, reject) => {
+  const onEvent = () => reject(new Error(`Unexpected ${event}`));
+  socket.once(event, onEvent);
+  setTimeout(() => {
+    socket.off(event, onEvent);
+    resolve();
+  }, ms);
+});
+
+const randomId = () => crypto.randomUUID();
+const randomSecret = () => crypto.randomBytes(32).toString('hex');
+
+// A connected client that joined as `deviceId` (with `deviceSecret`); resolves with { socket, id }
+async function join({ name = 'Device', deviceId = randomId(), deviceSecret = randomSecret(), room } = {}) {
+  const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+  clients.push(socket);
+  await nextEvent(socket, 'connect');
+  const me = nextEvent(socket, 'me');
+  socket.emit('join', { name, deviceId, deviceSecret, room });
+  return { socket, id: (await me).id, deviceSecret };
+}
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  clients.forEach(socket => socket.disconnect());
+  io.close();
+});
+
+describe('schema validation', () => {
+  it('rejects a payload that breaks the schema with event-error', async () => {
+    const a = await join();
+    const b = await join();
+    const error = nextEvent(a.socket, 'event-error');
+    a.socket.emit('batch-request', { to: b.id, transferId: 't-schema' }); // fileCount is required
+    assert.deepEqual(await error, { event: 'batch-request', message: 'fileCount is required' });
+  });
+
+  it('answers acknowledged events with the error too', async () => {
+    const a = await join();
+    const error = nextEvent(a.socket, 'event-error');
+    const reply = await a.socket.timeout(2000).emitWithAck('relay-open', { to: 42, transferId: 't-ack' });
+    assert.equal(reply.ok, false);
+    assert.equal((await error).event, 'relay-open');
+  });
+
+  it('rejects events it does not know', async () => {
+    const a = await join();
+    const error = nextEvent(a.socket, 'event-error');
+    a.socket.emit('make-coffee', {});
+    assert.deepEqual(await error, { event: 'make-coffee', message: 'Unknown event' });
+  });
+});
+
+describe('sender identity', () => {
+  it('stamps `from` with the sender device, whatever the client claims', async () => {
+    const a = await join();
+    const b = await join();
+    const signal = nextEvent(b.socket, 'signal');
+    a.socket.emit('signal', { to: b.id, transferId: 't-from', signal: { type: 'offer' }, from: 'someone-else' });
+    const received = await signal;
+    assert.equal(received.from, a.id);
+    assert.equal(received.transferId, 't-from');
+  });
+
+  it('stamps batch requests with the sender name the server knows', async () => {
+    const a = await join({ name: 'Alice' });
+    const b = await join();
+    const request = nextEvent(b.socket, 'batch-request');
+    a.socket.emit('batch-request', { to: b.id, transferId: 't-name', fileCount: 1, from: 'x', fromName: 'Mallory' });
+    const received = await request;
+    assert.equal(received.from, a.id);
+    assert.match(received.fromName, /^Alice/);
+  });
+});
+
+describe('targets', () => {
+  it('rejects events for a device that is not registered', async () => {
+    const a = await join();
+    const error = nextEvent(a.socket, 'event-error');
+    a.socket.emit('signal', { to: randomId(), transferId: 't-unknown', signal: {} });
+    assert.deepEqual(await error, { event: 'signal', transferId: 't-unknown', message: 'Unknown device' });
+  });
+
+  it('rejects events for a device in another room', async () => {
+    const a = await join();
+    const b = await join();
+    const users = nextEvent(b.socket, 'users');
+    b.socket.emit('create-room');
+    await users;
+
+    const error = nextEvent(a.socket, 'event-error');
+    const delivered = noEvent(b.socket, 'signal');
+    a.socket.emit('signal', { to: b.id, transferId: 't-room', signal: {} });
+    assert.equal((await error).message, 'That device is not in your room');
+    await delivered;
+  });
+
+  it('drops events for a device that blocked the sender', async () => {
+    const a = await join();
+    const b = await join();
+    const blocked = nextEvent(b.socket, 'blocked-devices');
+    b.socket.emit('block-device', { id: a.id });
+    await blocked;
+
+    const error = nextEvent(a.socket, 'event-error');
+    const delivered = noEvent(b.socket, 'signal');
+    a.socket.emit('signal', { to: b.id, transferId: 't-blocked', signal: {} });
+    assert.equal((await error).message, 'That device is not accepting requests from you');
+    await delivered;
+  });
+});
+
+describe('device IDs', () => {
+  it('gives a join with another device\'s ID but not its secret a fresh ID', async () => {
+    const victim = await join({ name: 'Victim' });
+    const sender = await join();
+    const replaced = noEvent(victim.socket, 'session-replaced');
+
+    const impostor = await join({ name: 'Impostor', deviceId: victim.id });
+    assert.notEqual(impostor.id, victim.id);
+    await replaced;
+    assert.equal(victim.socket.connected, true);
+
+    // Requests for the victim still reach the victim
+    const request = nextEvent(victim.socket, 'batch-request');
+    const stolen = noEvent(impostor.socket, 'batch-request');
+    sender.socket.emit('batch-request', { to: victim.id, transferId: 't-victim', fileCount: 1 });
+    assert.equal((await request).transferId, 't-victim');
+    await stolen;
+  });
+
+  it('falls back to the socket ID for a join without a secret', async () => {
+    const victim = await join();
+    const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    await nextEvent(socket, 'connect');
+    const me = nextEvent(socket, 'me');
+    socket.emit('join', { name: 'Old client', deviceId: victim.id });
+    assert.equal((await me).id, socket.id);
+  });
+
+  it('lets the browser holding the secret take its ID back', async () => {
+    const first = await join();
+    const replaced = nextEvent(first.socket, 'session-replaced');
+    const again = await join({ deviceId: first.id, deviceSecret: first.deviceSecret });
+    assert.equal(again.id, first.id);
+    await replaced;
+  });
+});
@@ -0,0 +1,186 @@
+// HTTPS for the server: a provided certificate, or a self-signed one generated on first start.
+// Browsers only expose WebCrypto, the File System Access API and friends in a secure context,
+// which plain http://<LAN IP> is not.
+//
+// HTTPS            "on" to serve HTTPS instead of HTTP
+// TLS_CERT_FILE    PEM certificate (chain) to use; with TLS_KEY_FILE, skips self-signing
+// TLS_KEY_FILE     PEM private key for TLS_CERT_FILE
+// TLS_CACHE_DIR    Where the self-signed pair is kept between restarts (default backend/.tls),
+//                  so browsers don't ask to accept a new certificate every time
+//
+// The self-signed certificate is built here (DER by hand, signed with node:crypto) so no
+// openssl binary or extra package is needed. It is regenerated when it expires or when this
+// machine has an address it does not cover.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const CERT_DAYS = 365; // Safari rejects longer-lived server certificates
+const RENEW_BEFORE = 7 * 24 * 60 * 60 * 1000;
+
+function loadTlsSettings(env = process.env) {
+  return {
+    enabled: env.HTTPS === 'on',
+    certFile: env.TLS_CERT_FILE || null,
+    keyFile: env.TLS_KEY_FILE || null,
+    cacheDir: env.TLS_CACHE_DIR || path.join(__dirname, '.tls')
+  };
+}
+
+// --- DER ---
+// Tag-length-value with definite lengths
+function der(tag, ...parts) {
+  const body = Buffer.concat(parts);
+  let length;
+  if (body.length < 0x80) {
+    length = Buffer.from([body.length]);
+  } else {
+    const bytes = [];
+    for (let n = body.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+const sequence = (...parts) => der(0x30, ...parts);
+const set = (...parts) => der(0x31, ...parts);
+const explicit = (n, ...parts) => der(0xa0 + n, ...parts);
+const octetString = (buffer) => der(0x04, buffer);
+const utf8String = (text) => der(0x0c, Buffer.from(text, 'utf8'));
+const bitString = (buffer) => der(0x03, Buffer.from([0]), buffer);
+const booleanTrue = () => der(0x01, Buffer.from([0xff]));
+
+function integer(buffer) {
+  // Positive: strip leading zeros, then add one back if the top bit is set
+  let start = 0;
+  while (start < buffer.length - 1 && buffer[start] === 0) start++;
+  const bytes = buffer.subarray(start);
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  rest.forEach(value => {
+    const chunk = [value & 0x7f];
+    for (value >>= 7; value > 0; value >>= 7) chunk.unshift(0x80 | (value & 0x7f));
+    bytes.push(...chunk);
+  });
+  return der(0x06, Buffer.from(bytes));
+}
+
+// UTCTime, fine until 2050
+function utcTime(date) {
+  const iso = date.toISOString(); // 2025-01-31T12:00:00.000Z
+  return der(0x17, Buffer.from(`${iso.slice(2, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`));
+}
+
+// IPv4 or IPv6 address as raw bytes for a subjectAltName entry
+function ipBytes(address) {
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts]
+      : headParts;
+    return Buffer.from(groups.flatMap(group => {
+      const value = parseInt(group, 16) || 0;
+      return [value >> 8, value & 0xff];
+    }));
+  }
+  return Buffer.from(address.split('.').map(Number));
+}
+
+const OID = {
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// --- SELF-SIGNED CERTIFICATE ---
+// { cert, key } in PEM for `hosts` (DNS names and IP addresses), valid from now for `days`
+function createSelfSignedCertificate({ hosts, commonName = 'LocalLink', days = CERT_DAYS, now = new Date() }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const name = sequence(set(sequence(oid(OID.commonName), utf8String(commonName))));
+  const signatureAlgorithm = sequence(oid(OID.ecdsaWithSha256));
+  const notBefore = new Date(now.getTime() - 60 * 60 * 1000); // Some slack for clocks that run behind
+  const notAfter = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const altNames = hosts.map(host => (net.isIP(host)
+    ? der(0x87, ipBytes(host)) // iPAddress
+    : der(0x82, Buffer.from(host, 'ascii')))); // dNSName
+
+  const extensions = sequence(
+    sequence(oid(OID.basicConstraints), booleanTrue(), octetString(sequence())),
+    sequence(oid(OID.extKeyUsage), octetString(sequence(oid(OID.serverAuth)))),
+    sequence(oid(OID.subjectAltName), octetString(sequence(...altNames)))
+  );
+
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))), // v3
+    integer(crypto.randomBytes(16)),
+    signatureAlgorithm,
+    name,
+    sequence(utcTime(notBefore), utcTime(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, extensions)
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const certificate = sequence(tbs, signatureAlgorithm, bitString(signature));
+
+  const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// True if a PEM certificate is valid for a while yet and names every host
+function certificateCovers(cert, hosts, now = Date.now()) {
+  try {
+    const x509 = new crypto.X509Certificate(cert);
+    if (new Date(x509.validTo).getTime() - now < RENEW_BEFORE) return false;
+    return hosts.every(host => (net.isIP(host) ? x509.checkIP(host) : x509.checkHost(host)));
+  } catch {
+    return false;
+  }
+}
+
+// { cert, key, selfSigned, fingerprint } for https.createServer; `hosts` are what a self-signed
+// certificate must cover (localhost and this machine's LAN addresses)
+function loadCertificate(settings, hosts) {
+  if (settings.certFile || settings.keyFile) {
+    if (!settings.certFile || !settings.keyFile) throw new Error('TLS_CERT_FILE and TLS_KEY_FILE must be set together');
+    const cert = fs.readFileSync(settings.certFile, 'utf8');
+    return { cert, key: fs.readFileSync(settings.keyFile, 'utf8'), selfSigned: false, fingerprint: new crypto.X509Certificate(cert).fingerprint256 };
+  }
+
+  const certPath = path.join(settings.cacheDir, 'cert.pem');
+  const keyPath = path.join(settings.cacheDir, 'key.pem');
+  if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    const cert = fs.readFileSync(certPath, 'utf8');
+    if (certificateCovers(cert, hosts)) {
+      return { cert, key: fs.readFileSync(keyPath, 'utf8'), selfSigned: true, fingerprint: new crypto.X509Certificate(cert).fingerprint256 };
+    }
+  }
+
+  const { cert, key } = createSelfSignedCertificate({ hosts });
+  fs.mkdirSync(settings.cacheDir, { recursive: true });
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  fs.writeFileSync(certPath, cert);
+  return { cert, key, selfSigned: true, fingerprint: new crypto.X509Certificate(cert).fingerprint256 };
+}
+
+module.exports = {
+  loadTlsSettings,
+  createSelfSignedCertificate,
+  certificateCovers,
+  loadCertificate
+};
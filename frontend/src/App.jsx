@@ -2,11 +2,38 @@ import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import SimplePeer from 'simple-peer';
 import streamSaver from 'streamsaver';
-import { Radar, Send, Download, File as FileIcon, CheckCircle, AlertCircle, Smartphone, HardDrive, Folder, Layers, Clock, Activity, Zap, Wifi } from 'lucide-react';
+import { Radar, Send, File as FileIcon, CheckCircle, AlertCircle, Layers, Activity, Wifi, Hash, LogOut, Plus, Copy, ShieldCheck, ShieldAlert, RefreshCw, FolderOpen, X, Archive, SkipForward, CheckSquare, Square, Ban, KeyRound, FolderDown, History, SlidersHorizontal } from 'lucide-react';
 import { Buffer } from 'buffer';
 import { motion, AnimatePresence } from 'framer-motion';
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import { createSha256 } from './lib/sha256';
+import { getSafePathSegments, flattenPathSegments, createFileHandleAt, sanitizeSegment, supportsDirectoryPicker } from './lib/paths';
+import { createZipWriter, supportsDeflate } from './lib/zip';
+import { formatBytes, formatTime } from './lib/format';
+import { createLimiter } from './lib/limiter';
+import { encodeMessage, encodeData, decodeMessage, helloMessage, checkHello, ProtocolError } from './lib/protocol';
+import { openLanes, whenLanesOpen, createStriper } from './lib/lanes';
+import { createRelayPeer } from './lib/relay';
+import { isFinishedTransfer, isActiveTransfer } from './lib/transfers';
+import { supportsHistory, buildHistoryEntry, listHistory, addHistory, clearHistory } from './lib/history';
+import { describeDevice, deviceLabel } from './lib/device';
+import { validateName, NAME_MAX_LENGTH } from './lib/names';
+import { loadPolicy, savePolicy, checkPolicy, isPolicyActive, createAcceptance, checkFileHeader } from './lib/policy';
+import { attachPreviews, galleryType, GALLERY_MAX_FILE, GALLERY_MEMORY_BUDGET } from './lib/previews';
+import {
+  supportsTrust, getIdentity, peekIdentity, randomNonce, verificationCode, listTrusted, saveTrusted,
+  updateTrusted, removeTrusted, signBatchRequest, verifyBatchRequest, checkAutoAccept
+} from './lib/trust';
+import ManifestTree from './components/ManifestTree';
+import TransferCard from './components/TransferCard';
+import PairingDialog from './components/PairingDialog';
+import TrustedDevicesPanel from './components/TrustedDevicesPanel';
+import DeviceIcon from './components/DeviceIcon';
+import HistoryPanel from './components/HistoryPanel';
+import RequestPreviews from './components/RequestPreviews';
+import PreviewGallery from './components/PreviewGallery';
+import PolicyPanel from './components/PolicyPanel';
 
 // --- CRITICAL POLYFILLS FOR SIMPLE-PEER ---
 if (typeof window !== "undefined") {
@@ -24,26 +51,120 @@ function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
-function formatBytes(bytes, decimals = 2) {
-  if (!+bytes) return '0 B';
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
-}
+// Signaling server, first match wins:
+//   ?server=https://host:port   override for this page (kept in shared room links)
+//   VITE_BACKEND_URL            set at build time
+//   Vite dev server             the backend on port 3001 of the same host
+//   otherwise                   this page's origin (the backend serves the built app)
+const getBackendEndpoint = () => {
+  const override = new URLSearchParams(window.location.search).get('server');
+  if (override) {
+    try {
+      const url = new URL(override);
+      if (url.protocol === 'http:' || url.protocol === 'https:') return url.origin;
+    } catch {
+      console.warn('⚠️ Ignoring invalid ?server= value:', override);
+    }
+  }
+  if (import.meta.env.VITE_BACKEND_URL) return import.meta.env.VITE_BACKEND_URL;
+  if (import.meta.env.DEV) return `http://${window.location.hostname}:3001`;
+  return window.location.origin;
+};
 
-function formatTime(seconds) {
-  if (!isFinite(seconds) || seconds < 0) return '--:--';
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60);
-  return `${m}m ${s}s`;
-}
+// Room code from the `?room=` query parameter, if any
+const getRoomFromUrl = () => {
+  const room = new URLSearchParams(window.location.search).get('room');
+  return room ? room.trim().toUpperCase() : null;
+};
 
-// Get correct backend endpoint (works with IP addresses for mobile)
-const getBackendEndpoint = () => {
-  const host = window.location.hostname;
-  return `http://${host}:3001`;
+// Keep `?room=` in the address bar in sync so the link can be shared
+const setRoomInUrl = (room) => {
+  const url = new URL(window.location.href);
+  if (room) {
+    url.searchParams.set('room', room);
+  } else {
+    url.searchParams.delete('room');
+  }
+  window.history.replaceState(null, '', url);
+};
+
+// Random ID for a transfer batch (crypto.randomUUID needs a secure context, LAN HTTP isn't one)
+const generateTransferId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Stable ID for this browser, stored next to its name; the server routes by it, so reconnects keep the identity
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem('locallink_device_id');
+  if (!deviceId) {
+    deviceId = generateTransferId();
+    localStorage.setItem('locallink_device_id', deviceId);
+  }
+  return deviceId;
+};
+
+// Random secret sent with every join. Device IDs are public, so the server only lets a join reuse
+// an ID together with the secret that first claimed it (getRandomValues works on LAN HTTP too)
+const getDeviceSecret = () => {
+  let secret = localStorage.getItem('locallink_device_secret');
+  if (!secret) {
+    secret = Array.from(window.crypto.getRandomValues(new Uint8Array(32)), b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem('locallink_device_secret', secret);
+  }
+  return secret;
+};
+
+// File list sent with a batch request, capped by entries and by JSON size; the server enforces
+// its own limits too (MAX_MANIFEST_BYTES, 1 MB), but a request past its 2 MB message limit would
+// drop the socket and be lost, so long paths plus previews have to stop well short of that here
+const MANIFEST_LIMIT = 5000;
+const MANIFEST_MAX_BYTES = 768 * 1024;
+const buildManifest = (files) => {
+  const encoder = new TextEncoder();
+  const manifest = [];
+  let bytes = 2; // The array's brackets
+  for (const [index, file] of files.slice(0, MANIFEST_LIMIT).entries()) {
+    const entry = {
+      index,
+      name: file.name,
+      path: file.webkitRelativePath || file.name,
+      size: file.size,
+      type: file.type || ''
+    };
+    bytes += encoder.encode(JSON.stringify(entry)).length + 1;
+    if (bytes > MANIFEST_MAX_BYTES) break;
+    manifest.push(entry);
+  }
+  return { manifest, truncated: manifest.length < files.length };
+};
+
+// Write a dashboard row to history (once per transferId in `recorded`); resolves with the entry or null.
+// Files come from the manifest, narrowed to what the receiver picked, or else from what arrived.
+const saveHistory = async (row, { recorded, outgoing, receivedFiles, startedAt }) => {
+  if (!supportsHistory() || recorded.has(row.id)) return null;
+  recorded.add(row.id);
+  const files = row.files
+    ? row.files.filter(f => !outgoing?.selected || outgoing.selected.has(f.index))
+    : receivedFiles.filter(f => f.transferId === row.id);
+  const entry = buildHistoryEntry(row, files.map(f => ({ name: f.path || f.name, size: f.size })), {
+    startedAt: startedAt || row.createdAt,
+    finishedAt: Date.now()
+  });
+  await addHistory(entry);
+  return entry;
+};
+
+// History list with `entry` on top (replacing an older copy)
+const withHistoryEntry = (entries, entry) => (entry ? [entry, ...entries.filter(e => e.id !== entry.id)] : entries);
+
+// Decode a data-channel frame without throwing (null when unreadable)
+const peekMessage = (data) => {
+  try {
+    return decodeMessage(data);
+  } catch {
+    return null;
+  }
 };
 
 // English Name Generator
@@ -87,45 +208,82 @@ const Toast = ({ message, type, onClose }) => {
 // --- MAIN APP ---
 const App = () => {
   const [socket, setSocket] = useState(null);
-  const [myId, setMyId] = useState('');
   const [myName, setMyName] = useState('');
+  const [myDevice] = useState(describeDevice); // Form factor, OS, browser; sent with every join
+  const [nameDraft, setNameDraft] = useState(null); // Rename field contents while it is open
   const [users, setUsers] = useState([]);
   const [connectionStatus, setConnectionStatus] = useState('Connecting...');
-
-  const [peer, setPeer] = useState(null); // Kept for re-render trigger
-  const [connected, setConnected] = useState(false);
-  const [transferring, setTransferring] = useState(false);
-  const [batchStatus, setBatchStatus] = useState('idle'); // idle, connecting, transferring, completed
+  const [room, setRoom] = useState(null); // null = devices on the same network
+  const [network, setNetwork] = useState(null);
+  const [roomInput, setRoomInput] = useState('');
+
+  // Devices ticked in the Nearby Devices grid; the next batch goes to each of them
+  const [selectedUserIds, setSelectedUserIds] = useState(() => new Set());
+  // Devices whose requests the server drops for this session: [{ id, name }]
+  const [blockedDevices, setBlockedDevices] = useState([]);
+  // Paired devices from IndexedDB (see lib/trust.js), the pairing in progress and the settings view
+  const [trustedDevices, setTrustedDevices] = useState([]);
+  const [pairing, setPairing] = useState(null);
+  const [showTrusted, setShowTrusted] = useState(false);
+  // Past transfers from IndexedDB, newest first (see lib/history.js)
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  // Limits on incoming requests, from localStorage (see lib/policy.js)
+  const [policy, setPolicy] = useState(loadPolicy);
+  const policyRef = useRef(policy); // Same as policy, for socket handlers
+  const [showPolicy, setShowPolicy] = useState(false);
+  // Dashboard rows by transferId, one per recipient or sender (see addTransfer)
+  const [transfers, setTransfers] = useState({});
 
   const [toasts, setToasts] = useState([]);
-  const [selectedFiles, setSelectedFiles] = useState([]);
 
   // Incoming transfer request
   const [incomingRequest, setIncomingRequest] = useState(null);
-
-  const [stats, setStats] = useState({
-    totalFiles: 0,
-    processedFiles: 0,
-    totalBytes: 0,
-    processedBytes: 0,
-    speed: '0 MB/s',
-    eta: '--:--',
-    currentFile: 'Waiting...'
-  });
+  const [incomingSelection, setIncomingSelection] = useState(() => new Set()); // Manifest indices to accept
+  // Files received this session with their integrity result: verified, corrupted, unverified
+  const [receivedFiles, setReceivedFiles] = useState([]);
+  // Name of the folder picked with the File System Access API (null = browser downloads)
+  const [saveFolderName, setSaveFolderName] = useState(null);
+  // Receive the next batch as one streamed archive: off, store, deflate
+  const [zipMode, setZipMode] = useState('off');
 
   const fileInputRef = useRef(null);
-  const rootDirHandleRef = useRef(null);
-  const selectedUserRef = useRef(null);
-  const peerRef = useRef(null); // CRITICAL: Use ref instead of state for immediate updates
-  const selectedFilesRef = useRef([]); // CRITICAL: For immediate access in event handlers
+  const rootDirHandleRef = useRef(null); // Destination folder for received batches
+  const galleryBytesRef = useRef(0); // Received bytes held in memory for the preview gallery
+  const sendTargetsRef = useRef([]); // Devices the next picked files go to
+  const peersRef = useRef(new Map()); // One SimplePeer per transferId
   const usersRef = useRef([]); // CRITICAL: For immediate access in event handlers
-  const lastBytesRef = useRef(0);
-  const lastTimeRef = useRef(0);
-  const connectionTimeoutRef = useRef(null);
+  const roomRef = useRef(getRoomFromUrl()); // Rejoined on every reconnect
+  const socketRef = useRef(null);
+  const trustedRef = useRef([]); // Same as trustedDevices, for socket handlers
+  const pairingRef = useRef(null); // Same as pairing, for socket handlers
+  const historyRecordedRef = useRef(new Set()); // transferIds already written to history
+  const historyStartsRef = useRef(new Map()); // transferId → when data started moving
+  const autoAcceptedRef = useRef(new Set()); // transferIds already auto-accepted (a replayed request is ignored)
+  const relayRef = useRef(null); // Server relay offer from 'me': { maxBytes } or null when disabled
+  const myIdRef = useRef(null); // Our device ID as the server granted it in 'me'
+  // STUN/TURN servers from the server's 'ice-config'; until it arrives only LAN host candidates are used
+  const iceConfigRef = useRef({ iceServers: [], expiresAt: null });
+  // Outgoing batches by transferId, one per recipient, kept until dismissed so they can be resumed:
+  // { id, to, files, selected, done, queue }
+  const outgoingTransfersRef = useRef(new Map());
+  // Incoming batches by transferId, kept across reconnects: { id, from, fromName, files: Map<index, fileState>, done }
+  const incomingTransfersRef = useRef(new Map());
+  // Pause/cancel/skip state per transferId, shared by both ends through 'transfer-control',
+  // plus the file on the wire (target of "skip this file") and speed sampling
+  const transferControlsRef = useRef(new Map());
+  const RESUME_OFFSETS_TIMEOUT = 3000;
+  const CONNECTION_TIMEOUT = 10000;
+  const ICE_REFRESH_MARGIN = 60 * 60 * 1000; // Ask for new TURN credentials this long before they expire
 
   const CHUNK_SIZE = 64 * 1024;
-  const BUFFER_THRESHOLD = 1024 * 1024;
+  const READ_SIZE = 16 * CHUNK_SIZE; // File bytes read per slice, then split into chunks
+  const BUFFER_THRESHOLD = 1024 * 1024; // Per data channel
+  const DATA_LANES = 4; // Extra data channels file chunks are striped across
+  const STATS_INTERVAL = 250; // ms between progress repaints
+  const MAX_PARALLEL_SENDS = 2; // Recipients fed at once; the others wait so the uplink isn't split too thin
   const BACKEND_URL = getBackendEndpoint();
+  const [sendLimiter] = useState(() => createLimiter(MAX_PARALLEL_SENDS));
 
   // --- HELPERS ---
   const addToast = (message, type = 'info') => {
@@ -137,6 +295,45 @@ const App = () => {
     setToasts(prev => prev.filter(t => t.id !== id));
   };
 
+  // --- TRANSFER ROWS ---
+  // direction: 'send' | 'receive'; status: see lib/transfers.js
+  const addTransfer = (row) => {
+    setTransfers(prev => ({
+      ...prev,
+      [row.id]: {
+        status: 'waiting',
+        paused: false,
+        totalFiles: 0,
+        processedFiles: 0,
+        totalBytes: 0,
+        processedBytes: 0,
+        speed: '0 MB/s',
+        eta: '--:--',
+        currentFile: 'Waiting...',
+        createdAt: Date.now(),
+        ...prev[row.id],
+        ...row
+      }
+    }));
+  };
+
+  // `patch` is an object or a function of the current row; unknown rows are ignored
+  const updateTransfer = (transferId, patch) => {
+    setTransfers(prev => {
+      const row = prev[transferId];
+      if (!row) return prev;
+      return { ...prev, [transferId]: { ...row, ...(typeof patch === 'function' ? patch(row) : patch) } };
+    });
+  };
+
+  const removeTransfer = (transferId) => {
+    setTransfers(prev => {
+      const next = { ...prev };
+      delete next[transferId];
+      return next;
+    });
+  };
+
   // --- INITIALIZATION ---
   useEffect(() => {
     let storedName = localStorage.getItem('locallink_name');
@@ -145,6 +342,19 @@ const App = () => {
       localStorage.setItem('locallink_name', storedName);
     }
     setMyName(storedName);
+    const deviceSecret = getDeviceSecret();
+
+    if (supportsHistory()) {
+      listHistory()
+        .then(setHistory)
+        .catch(err => console.error('❌ Could not load transfer history:', err));
+    }
+
+    if (supportsTrust()) {
+      listTrusted()
+        .then(setTrusted)
+        .catch(err => console.error('❌ Could not load trusted devices:', err));
+    }
 
     // Check WebRTC support
     if (!window.RTCPeerConnection) {
@@ -164,13 +374,32 @@ const App = () => {
     });
 
     setSocket(newSocket);
+    socketRef.current = newSocket;
+    const peers = peersRef.current;
 
     newSocket.on('connect', () => {
       console.log('✅ Socket Connected');
       setConnectionStatus('Connected');
       addToast('Connected to server', 'success');
-      // CRITICAL: Emit join with name
-      newSocket.emit('join', { name: storedName });
+      // CRITICAL: Emit join with name and device ID (and room, so reconnects land back in it)
+      // The name is re-read so a rename survives reconnects
+      const name = localStorage.getItem('locallink_name') || storedName;
+      newSocket.emit('join', { deviceId: getDeviceId(), deviceSecret, name, room: roomRef.current, device: myDevice });
+    });
+
+    // The same device joined from another tab (or a newer connection); this one stays offline
+    newSocket.on('session-replaced', () => {
+      console.warn('⚠️ Session taken over by another connection of this device');
+      setConnectionStatus('Open in Another Tab');
+      addToast('LocalLink was opened in another tab', 'error');
+    });
+
+    // Relays run over this socket and the server closes them when it drops; end ours too so the
+    // transfers show as interrupted (and can be resumed) instead of waiting on acks that are gone
+    newSocket.on('disconnect', () => {
+      peersRef.current.forEach((peer) => {
+        if (peer.relayed) peer.destroy(new Error('Lost the connection to the server'), { remote: true });
+      });
     });
 
     newSocket.on('connect_error', (error) => {
@@ -180,118 +409,357 @@ const App = () => {
     });
 
     newSocket.on('me', (data) => {
-      setMyId(data.id);
+      // The server hands out a fresh ID when ours is claimed by another browser; keep using that one
+      myIdRef.current = data.id;
+      if (data.id !== getDeviceId()) localStorage.setItem('locallink_device_id', data.id);
+      setNetwork(data.network || null);
+      relayRef.current = data.relay || null;
       console.log('👤 My ID:', data.id);
     });
 
+    // NAME ASSIGNED - The name others see; differs from what we asked for when it was taken
+    newSocket.on('name-assigned', (data) => {
+      setMyName(data.name);
+      if (data.name !== data.requested) addToast(`"${data.requested}" is taken, showing as "${data.name}"`, 'info');
+    });
+
+    newSocket.on('ice-config', (data) => {
+      iceConfigRef.current = { iceServers: Array.isArray(data?.iceServers) ? data.iceServers : [], expiresAt: data?.expiresAt || null };
+      console.log(`🧊 ICE servers: ${iceConfigRef.current.iceServers.length}`);
+    });
+
+    // The server refused one of our events (bad payload, or a device that left or is in another room)
+    newSocket.on('event-error', (data) => {
+      console.error(`❌ Server rejected ${data.event}:`, data.message);
+      if (data.event === 'pair-request') setPairingState(null);
+      // A refused request (blocked, rate limited, recipient gone) fails its dashboard row
+      if (data.transferId && outgoingTransfersRef.current.has(data.transferId)) {
+        failTransfer(data.transferId, data.message);
+        return;
+      }
+      addToast(data.message, 'error');
+    });
+
+    // PAIR REQUEST - Another device offers its key; only one pairing runs at a time
+    newSocket.on('pair-request', (data) => {
+      if (pairingRef.current || !supportsTrust()) {
+        newSocket.emit('pair-answer', { to: data.from, accepted: false });
+        if (!supportsTrust()) addToast(`${data.fromName} wants to pair, but pairing needs HTTPS`, 'error');
+        return;
+      }
+      setPairingState({
+        role: 'responder',
+        peerId: data.from,
+        peerName: data.fromName,
+        status: 'incoming',
+        theirKey: data.publicKey,
+        theirNonce: data.nonce
+      });
+    });
+
+    // PAIR ANSWER - Their key and nonce complete the code we show
+    newSocket.on('pair-answer', async (data) => {
+      const current = pairingRef.current;
+      if (!current || current.role !== 'initiator' || current.peerId !== data.from) return;
+      if (!data.accepted) {
+        addToast(`${current.peerName} declined pairing`, 'info');
+        setPairingState(null);
+        return;
+      }
+      const code = await verificationCode({
+        initiatorKey: current.myKey,
+        responderKey: data.publicKey,
+        initiatorNonce: current.myNonce,
+        responderNonce: data.nonce
+      });
+      setPairingState({ ...current, status: 'confirm', code, theirKey: data.publicKey });
+    });
+
+    newSocket.on('blocked-devices', (list) => {
+      setBlockedDevices(Array.isArray(list) ? list : []);
+    });
+
+    newSocket.on('room-joined', (data) => {
+      console.log('🚪 Joined room:', data.room);
+      roomRef.current = data.room;
+      setRoom(data.room);
+      setRoomInUrl(data.room);
+      addToast(`Joined room ${data.room}`, 'success');
+    });
+
+    newSocket.on('room-left', () => {
+      console.log('🚪 Left room');
+      roomRef.current = null;
+      setRoom(null);
+      setRoomInUrl(null);
+    });
+
+    newSocket.on('room-error', (data) => {
+      console.error('❌ Room error:', data.message);
+      roomRef.current = null;
+      setRoom(null);
+      setRoomInUrl(null);
+      addToast(data.message, 'error');
+    });
+
     newSocket.on('users', (userList) => {
-      const others = userList.filter(u => u.id !== newSocket.id);
+      const others = userList.filter(u => u.id !== myIdRef.current);
       setUsers(others);
       usersRef.current = others; // Keep ref in sync
+      setSelectedUserIds(prev => new Set(Array.from(prev).filter(id => others.some(u => u.id === id))));
       console.log('📋 Users updated:', others.length, 'online');
     });
 
     // BATCH REQUEST - Incoming transfer request
-    newSocket.on('batch-request', (data) => {
-      console.log('📨 TRANSFER İSTEĞİ ALINDI:', data);
+    newSocket.on('batch-request', async (data) => {
+      console.log('📨 Transfer request received:', data);
+
+      // Resuming a batch we already accepted from this device - skip the modal
+      const pending = data.transferId && incomingTransfersRef.current.get(data.transferId);
+      if (pending && !pending.done && pending.from === data.from) {
+        console.log('🔁 Resuming transfer:', data.transferId);
+        addToast(`Resuming transfer from ${data.fromName}`, 'info');
+        addTransfer({ id: data.transferId, direction: 'receive', peerId: data.from, peerName: data.fromName, status: 'connecting' });
+        createReceiverPeer(data.from, data.transferId, null, newSocket);
+        newSocket.emit('batch-answer', { to: data.from, accepted: true, transferId: data.transferId });
+        return;
+      }
+
+      // Our acceptance policy applies to every sender, trusted ones included
+      const verdict = checkPolicy(policyRef.current, data);
+      if (!verdict.ok) {
+        console.log(`🚫 Declining request from ${data.fromName}: ${verdict.reason}`);
+        addToast(`Declined ${data.fromName}'s request: ${verdict.reason}`, 'info');
+        // The server takes reasons of up to 200 characters
+        newSocket.emit('batch-answer', { to: data.from, accepted: false, transferId: data.transferId, reason: verdict.reason.slice(0, 200) });
+        return;
+      }
+      // Files the policy left out are gone from the manifest; `excluded` keeps their indices
+      const excluded = new Set(verdict.excluded);
+      const request = excluded.size
+        ? { ...data, manifest: data.manifest.filter(f => !excluded.has(f.index)), excluded: verdict.excluded }
+        : data;
+
+      // A paired device's signed request that fits its rules skips the modal
+      if (await isTrustedRequest(request, myIdRef.current)) {
+        console.log('🔐 Auto-accepting transfer from trusted device:', data.fromName);
+        addToast(`Receiving ${excluded.size ? request.manifest.length : data.fileCount} file(s) from ${data.fromName} (trusted)`, 'success');
+        acceptBatch(request, { files: excluded.size ? request.manifest.map(f => f.index) : undefined }, newSocket);
+        return;
+      }
+
       addToast(`Transfer request from ${data.fromName}`, 'info');
       setIncomingRequest({
         from: data.from,
         fromName: data.fromName,
+        transferId: data.transferId,
         fileCount: data.fileCount,
         totalSize: data.totalSize,
-        totalBytes: data.totalBytes
+        totalBytes: data.totalBytes,
+        manifest: Array.isArray(request.manifest) ? request.manifest : null,
+        manifestTruncated: !!data.manifestTruncated,
+        excluded: request.excluded || null
       });
+      setIncomingSelection(new Set((request.manifest || []).map(f => f.index)));
     });
 
-    // BATCH ANSWER - Response to our request
+    // BATCH ANSWER - Response to our request, one per recipient
     newSocket.on('batch-answer', (data) => {
-      console.log('📬 Transfer cevabı alındı:', data.accepted ? 'KABUL' : 'RED');
+      const outgoing = outgoingTransfersRef.current.get(data.transferId);
+      if (!outgoing) {
+        console.warn('⚠️ Answer for unknown transfer:', data.transferId);
+        return;
+      }
+      // Only the device we asked may answer; anyone else who learned the transfer ID is ignored
+      if (data.from !== outgoing.to.id) {
+        console.warn(`⚠️ Answer for ${data.transferId} from a device it was not sent to:`, data.from);
+        return;
+      }
+      console.log(`📬 ${outgoing.to.name} ${data.accepted ? 'accepted' : 'declined'} transfer ${outgoing.id}`);
+
       if (data.accepted) {
-        addToast('Transfer accepted! Connecting...', 'success');
-
-        // CRITICAL: Set connecting status immediately
-        setBatchStatus('connecting');
-        setConnectionStatus('Connecting to peer...');
-
-        console.log('📦 Selected files count:', selectedFilesRef.current.length);
-        console.log('👥 Users count:', usersRef.current.length);
-        console.log('🔍 About to call createSenderPeer...');
-
-        // Create sender peer
-        if (selectedFilesRef.current.length > 0) {
-          const targetUser = usersRef.current.find(u => u.id === data.from);
-          console.log('🎯 Target user found:', targetUser?.name);
-          if (targetUser) {
-            console.log('✅ Calling createSenderPeer NOW!');
-            createSenderPeer(targetUser, selectedFilesRef.current);
-            console.log('✅ createSenderPeer called!');
-          } else {
-            console.error('❌ Target user not found!');
-            addToast('Target user not found', 'error');
-            setBatchStatus('idle');
-          }
-        } else {
-          console.error('❌ No files selected!');
-          addToast('No files selected', 'error');
-          setBatchStatus('idle');
+        addToast(`${outgoing.to.name} accepted! Connecting...`, 'success');
+        if (data.reason) addToast(`${outgoing.to.name}: ${data.reason}`, 'info');
+
+        // Receiver picked a subset of the manifest
+        if (Array.isArray(data.files)) {
+          outgoing.selected = new Set(data.files);
+          console.log(`☑️ ${outgoing.to.name} selected ${data.files.length} file(s)`);
         }
+
+        // Pick up their current entry (device IDs survive reconnects; the name may have changed)
+        outgoing.to = usersRef.current.find(u => u.id === data.from) || outgoing.to;
+        createSenderPeer(outgoing, newSocket);
       } else {
-        addToast('Transfer declined', 'error');
-        setSelectedFiles([]);
-        setBatchStatus('idle');
+        // A reason means their acceptance policy declined it, not a person
+        addToast(data.reason ? `${outgoing.to.name} declined: ${data.reason}` : `${outgoing.to.name} declined the transfer`, 'error');
+        outgoingTransfersRef.current.delete(outgoing.id);
+        updateTransfer(outgoing.id, {
+          status: 'declined',
+          currentFile: data.reason ? `Declined: ${data.reason}` : 'Declined',
+          declineReason: data.reason || null
+        });
       }
     });
 
+    // SIGNAL - Routed to the peer connection of the transfer it belongs to
     newSocket.on('signal', (data) => {
-      console.log('📥 Signal received from:', data.from);
-      console.log('📥 Signal type:', data.signal?.type);
-      console.log('📥 Current peer exists:', !!peerRef.current);
+      console.log('📥 Signal received from:', data.from, data.signal?.type);
 
-      if (peerRef.current) {
-        console.log('🔗 Signaling existing peer with:', data.signal?.type);
+      const existing = peersRef.current.get(data.transferId);
+      if (existing && !existing.destroyed) {
         try {
-          peerRef.current.signal(data.signal);
-          addToast(`Received: ${data.signal?.type || 'signal'}`, 'info');
+          existing.signal(data.signal);
         } catch (err) {
           console.error('❌ Error signaling peer:', err);
           addToast('Signal error: ' + err.message, 'error');
         }
       } else {
+        // A new connection only for a batch we accepted, from the device we accepted it from
+        const transfer = incomingTransfersRef.current.get(data.transferId);
+        if (!transfer || transfer.done || transfer.from !== data.from) {
+          console.warn('⚠️ Ignoring signal for a transfer we never accepted:', data.transferId);
+          return;
+        }
         console.log('🆕 Creating receiver peer');
-        createReceiverPeer(data.from, data.signal, newSocket);
+        createReceiverPeer(data.from, data.transferId, data.signal, newSocket);
+      }
+    });
+
+    // RELAY OPEN - The sender couldn't reach us directly and goes through the server instead
+    newSocket.on('relay-open', (data) => {
+      const transfer = incomingTransfersRef.current.get(data.transferId);
+      if (!transfer || transfer.done || transfer.from !== data.from) {
+        newSocket.emit('relay-close', { transferId: data.transferId });
+        return;
+      }
+      console.log('🛰️ Relay opened for transfer:', data.transferId);
+      createReceiverPeer(data.from, data.transferId, null, newSocket, { relay: true });
+    });
+
+    // RELAY DATA - A frame for a relayed transfer; the ack is what lets the sender go on
+    newSocket.on('relay-data', (data, ack) => {
+      const relayPeer = peersRef.current.get(data?.transferId);
+      if (!relayPeer?.relayed || relayPeer.destroyed) {
+        ack?.({ ok: false, error: 'No relay for this transfer' });
+        return;
       }
+      relayPeer.receive(data.data);
+      ack?.({ ok: true });
+    });
+
+    newSocket.on('relay-close', (data) => {
+      const relayPeer = peersRef.current.get(data?.transferId);
+      if (relayPeer?.relayed) relayPeer.destroy(null, { remote: true });
     });
 
     return () => {
       newSocket.disconnect();
-      if (peerRef.current) {
-        peerRef.current.destroy();
-      }
+      peers.forEach(peerConnection => peerConnection.destroy());
     };
   }, []);
 
-  // --- HANDLE BATCH ACCEPT ---
-  const handleBatchAccept = () => {
-    if (!incomingRequest || !socket) return;
+  // --- ROOMS ---
+  const handleCreateRoom = () => {
+    if (!socket) return;
+    socket.emit('create-room');
+  };
 
-    console.log('✅ Transfer kabul edildi');
-    addToast('Accepting transfer...', 'success');
+  const handleJoinRoom = (e) => {
+    e.preventDefault();
+    const code = roomInput.trim().toUpperCase();
+    if (!socket || !code) return;
+    socket.emit('join-room', { room: code });
+    setRoomInput('');
+  };
+
+  const handleLeaveRoom = () => {
+    if (!socket) return;
+    socket.emit('leave-room');
+    addToast('Back to devices on your network', 'info');
+  };
+
+  const handleCopyRoomLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      addToast('Room link copied', 'success');
+    } catch (err) {
+      console.error('❌ Clipboard error:', err);
+      addToast(`Share this code: ${room}`, 'info');
+    }
+  };
+
+  // --- ACCEPT BATCH ---
+  // Shared by the request modal and trusted auto-accept; `files` is the selected subset (undefined = all)
+  const acceptBatch = (request, { files, zipMode: batchZipMode = 'off' }, socketInstance) => {
+    addTransfer({
+      id: request.transferId,
+      direction: 'receive',
+      peerId: request.from,
+      peerName: request.fromName,
+      status: 'connecting',
+      totalFiles: files ? files.length : request.fileCount,
+      totalBytes: files
+        ? request.manifest.filter(f => files.includes(f.index)).reduce((acc, f) => acc + f.size, 0)
+        : request.totalBytes || 0,
+      files: request.manifest && !request.manifestTruncated
+        ? request.manifest.filter(f => !files || files.includes(f.index))
+        : undefined,
+      currentFile: 'Establishing P2P connection...'
+    });
 
-    // CRITICAL: Set connecting status immediately
-    setBatchStatus('connecting');
-    setConnectionStatus('Connecting to peer...');
+    // Remember the batch so a dropped connection can resume it
+    if (request.transferId) {
+      incomingTransfersRef.current.set(request.transferId, {
+        id: request.transferId,
+        from: request.from,
+        fromName: request.fromName,
+        zipMode: batchZipMode,
+        // Arriving files are checked against what we agreed to (see checkFileHeader)
+        acceptance: createAcceptance({
+          manifest: request.manifestTruncated ? null : request.manifest,
+          files,
+          totalBytes: request.totalBytes,
+          policy: policyRef.current
+        }),
+        files: new Map(),
+        done: false
+      });
+    }
 
     // CRITICAL: Create receiver peer BEFORE sending answer
-    console.log('🟢 Creating receiver peer for:', incomingRequest.fromName);
-    createReceiverPeer(incomingRequest.from, null, socket);
+    console.log('🟢 Creating receiver peer for:', request.fromName);
+    createReceiverPeer(request.from, request.transferId, null, socketInstance);
 
     // Then send answer
-    socket.emit('batch-answer', {
-      to: incomingRequest.from,
-      accepted: true
+    socketInstance.emit('batch-answer', {
+      to: request.from,
+      accepted: true,
+      transferId: request.transferId,
+      files,
+      reason: request.excluded ? `${request.excluded.length} file(s) left out by the receiver's acceptance policy` : undefined
     });
+  };
+
+  // --- HANDLE BATCH ACCEPT ---
+  const handleBatchAccept = () => {
+    if (!incomingRequest || !socket) return;
+
+    // Selective accept only works when the full manifest arrived
+    const canSelect = !!incomingRequest.manifest && !incomingRequest.manifestTruncated;
+    if (canSelect && incomingSelection.size === 0) {
+      addToast('Select at least one file', 'error');
+      return;
+    }
+    // Anything the policy excluded has to be left out explicitly, even if all the rest is selected
+    const files = canSelect && (incomingSelection.size < incomingRequest.manifest.length || incomingRequest.excluded)
+      ? Array.from(incomingSelection).sort((a, b) => a - b)
+      : undefined;
+
+    console.log('✅ Transfer kabul edildi');
+    addToast('Accepting transfer...', 'success');
 
+    acceptBatch(incomingRequest, { files, zipMode: canStreamZip ? zipMode : 'off' }, socket);
     setIncomingRequest(null);
   };
 
@@ -303,201 +771,396 @@ const App = () => {
 
     socket.emit('batch-answer', {
       to: incomingRequest.from,
-      accepted: false
+      accepted: false,
+      transferId: incomingRequest.transferId
     });
 
     setIncomingRequest(null);
     addToast('Transfer declined', 'info');
   };
 
+  // --- RENAME ---
+  // The server may suffix the name; 'name-assigned' brings back what it settled on
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    const result = validateName(nameDraft || '');
+    if (!result.ok) {
+      addToast(result.error, 'error');
+      return;
+    }
+    setNameDraft(null);
+    if (result.name === myName) return;
+    localStorage.setItem('locallink_name', result.name);
+    socket?.emit('rename', { name: result.name });
+  };
+
+  // --- BLOCKED DEVICES ---
+  // Decline the open request and have the server drop this device's requests for the session
+  const handleBlockSender = () => {
+    if (!incomingRequest || !socket) return;
+    socket.emit('block-device', { id: incomingRequest.from });
+    addToast(`Blocked ${incomingRequest.fromName} for this session`, 'info');
+    handleBatchDecline();
+  };
+
+  const handleUnblockDevice = (id) => {
+    if (!socket) return;
+    socket.emit('unblock-device', { id });
+  };
+
+  // --- TRUSTED DEVICES ---
+  const setTrusted = (list) => {
+    trustedRef.current = list;
+    setTrustedDevices(list);
+  };
+
+  const setPairingState = (next) => {
+    pairingRef.current = next;
+    setPairing(next);
+  };
+
+  // True if a batch request is signed by a paired device and fits the rules set for it
+  const isTrustedRequest = async (request, myDeviceId) => {
+    if (!request.auth || !request.transferId || autoAcceptedRef.current.has(request.transferId)) return false;
+    const trusted = trustedRef.current.find(t => t.keyId === request.auth.keyId);
+    if (!trusted) return false;
+
+    const rules = checkAutoAccept(trusted.rules, request);
+    if (!rules.ok) {
+      console.log(`🔐 Not auto-accepting from ${trusted.name}: ${rules.reason}`);
+      return false;
+    }
+    if (!(await verifyBatchRequest(trusted, request, myDeviceId))) {
+      console.warn('⚠️ Bad signature on request claiming to be from', trusted.name);
+      return false;
+    }
+    autoAcceptedRef.current.add(request.transferId);
+    return true;
+  };
+
+  const handlePairWith = async (user) => {
+    if (!socket || pairingRef.current) return;
+    if (!supportsTrust()) {
+      addToast('Pairing needs HTTPS (or localhost)', 'error');
+      return;
+    }
+    try {
+      const identity = await getIdentity();
+      const nonce = randomNonce();
+      setPairingState({ role: 'initiator', peerId: user.id, peerName: user.name, status: 'waiting', myKey: identity.publicJwk, myNonce: nonce });
+      socket.emit('pair-request', { to: user.id, publicKey: identity.publicJwk, nonce });
+    } catch (err) {
+      console.error('❌ Pairing error:', err);
+      addToast('Could not create a pairing key', 'error');
+    }
+  };
+
+  // Responder: send our key and nonce back, then show the same code the initiator will
+  const handlePairAccept = async () => {
+    const current = pairingRef.current;
+    if (!socket || !current) return;
+    try {
+      const identity = await getIdentity();
+      const nonce = randomNonce();
+      socket.emit('pair-answer', { to: current.peerId, accepted: true, publicKey: identity.publicJwk, nonce });
+      const code = await verificationCode({
+        initiatorKey: current.theirKey,
+        responderKey: identity.publicJwk,
+        initiatorNonce: current.theirNonce,
+        responderNonce: nonce
+      });
+      setPairingState({ ...current, status: 'confirm', code });
+    } catch (err) {
+      console.error('❌ Pairing error:', err);
+      addToast('Pairing failed', 'error');
+      setPairingState(null);
+    }
+  };
+
+  const handlePairConfirm = async () => {
+    const current = pairingRef.current;
+    if (!current) return;
+    try {
+      await saveTrusted({ deviceId: current.peerId, name: current.peerName, publicKey: current.theirKey });
+      setTrusted(await listTrusted());
+      addToast(`Paired with ${current.peerName}`, 'success');
+    } catch (err) {
+      console.error('❌ Could not save trusted device:', err);
+      addToast('Could not save the pairing', 'error');
+    }
+    setPairingState(null);
+  };
+
+  const handlePairCancel = () => {
+    const current = pairingRef.current;
+    if (current?.status === 'incoming') socket?.emit('pair-answer', { to: current.peerId, accepted: false });
+    setPairingState(null);
+  };
+
+  // --- ACCEPTANCE POLICY ---
+  const handleUpdatePolicy = (next) => {
+    policyRef.current = next;
+    setPolicy(next);
+    savePolicy(next);
+  };
+
+  const handleUpdateTrusted = async (entry) => {
+    setTrusted(trustedRef.current.map(t => (t.keyId === entry.keyId ? entry : t)));
+    try {
+      await updateTrusted(entry);
+    } catch (err) {
+      console.error('❌ Could not save trust rules:', err);
+      addToast('Could not save the rules', 'error');
+    }
+  };
+
+  const handleRevokeTrusted = async (keyId) => {
+    try {
+      await removeTrusted(keyId);
+      setTrusted(trustedRef.current.filter(t => t.keyId !== keyId));
+      addToast('Device is no longer trusted', 'info');
+    } catch (err) {
+      console.error('❌ Could not revoke device:', err);
+    }
+  };
+
+  // --- ICE SERVERS ---
+  // Time-limited TURN credentials are refreshed in the background once they get close to expiry
+  const getIceServers = (socketInstance) => {
+    const { iceServers, expiresAt } = iceConfigRef.current;
+    if (expiresAt && expiresAt - Date.now() < ICE_REFRESH_MARGIN) socketInstance?.emit('ice-config');
+    return iceServers;
+  };
+
+  // --- SERVER RELAY ---
+  // Whether a batch may fall back to the server relay: the server must offer one and the batch must fit its cap
+  const canRelay = (outgoing) => {
+    const relay = relayRef.current;
+    if (!relay) return false;
+    const bytes = outgoing.files.reduce((acc, f, i) => !outgoing.selected || outgoing.selected.has(i) ? acc + f.size : acc, 0);
+    if (bytes > relay.maxBytes) {
+      addToast(`Too large for the server relay (limit ${formatBytes(relay.maxBytes)})`, 'error');
+      return false;
+    }
+    return true;
+  };
+
   // --- CREATE SENDER PEER ---
-  const createSenderPeer = (targetUser, files) => {
+  // One connection per recipient, keyed by the transferId it carries.
+  // `relay` goes through the server instead of WebRTC; a batch that fell back once stays relayed.
+  const createSenderPeer = (outgoing, socketInstance = socketRef.current, { relay = !!outgoing.relayed } = {}) => {
+    const targetUser = outgoing.to;
     console.log('🚀 createSenderPeer ENTERED');
-    console.log('   socket exists:', !!socket);
-    console.log('   myId:', myId);
+    console.log('   socket exists:', !!socketInstance);
     console.log('   targetUser:', targetUser?.name);
-    console.log('   files count:', files?.length);
+    console.log('   files count:', outgoing.files.length);
 
-    if (!socket) {
+    if (!socketInstance) {
       console.error('❌ Socket is NULL/UNDEFINED! Cannot create peer!');
       addToast('Socket not connected', 'error');
       return;
     }
 
-    console.log('🔵 Creating SENDER peer to:', targetUser.name);
-    setConnectionStatus('Creating P2P connection...');
-    setBatchStatus('connecting');
-
-    // Clear any existing timeout
-    if (connectionTimeoutRef.current) {
-      clearTimeout(connectionTimeoutRef.current);
-    }
+    console.log(`🔵 Creating SENDER ${relay ? 'relay' : 'peer'} to:`, targetUser.name);
+    updateTransfer(outgoing.id, {
+      status: 'connecting',
+      peerId: targetUser.id,
+      relayed: relay,
+      currentFile: relay ? 'Connecting through the server relay...' : 'Establishing P2P connection...'
+    });
+    peersRef.current.get(outgoing.id)?.destroy();
 
     // AGGRESSIVE CONNECTION CONFIG
-    const newPeer = new SimplePeer({
+    const newPeer = relay ? createRelayPeer(socketInstance, { to: targetUser.id, transferId: outgoing.id, initiator: true }) : new SimplePeer({
       initiator: true,
       trickle: true, // Changed to true for better mobile compatibility
       allowHalfOpen: true,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:global.stun.twilio.com:3478' }, // Backup STUN
-          { urls: 'stun:stun.services.mozilla.com' }
-        ]
-      }
+      config: { iceServers: getIceServers(socketInstance) }
     });
 
-    // Set connection timeout (10 seconds)
-    connectionTimeoutRef.current = setTimeout(() => {
-      if (!connected) {
+    // Nothing is sent until the receiver's HELLO shows it speaks our protocol version
+    let confirmHandshake;
+    const handshake = new Promise(resolve => { confirmHandshake = resolve; });
+    let dataChannels = null; // Lanes (or SimplePeer's own channel) file chunks go over
+
+    // Direct connection failed: carry on through the server relay when it's offered and the batch fits
+    const fallBackToRelay = () => {
+      if (relay || peersRef.current.get(outgoing.id) !== newPeer || !canRelay(outgoing)) return false;
+      console.log(`🛰️ Falling back to the server relay for ${targetUser.name}`);
+      addToast(`No direct connection to ${targetUser.name}, relaying through the server`, 'info');
+      outgoing.relayed = true;
+      createSenderPeer(outgoing, socketInstance, { relay: true });
+      return true;
+    };
+
+    // Give up on this recipient if ICE doesn't get through (unless the relay takes over); the row can be resumed
+    const connectionTimeout = relay ? null : setTimeout(() => {
+      if (!newPeer.connected) {
         console.error('⏰ Connection timeout!');
-        addToast('Connection timeout. Please try again.', 'error');
-        setConnectionStatus('Timeout');
-        setBatchStatus('idle');
-        if (newPeer) {
-          newPeer.destroy();
-        }
+        if (fallBackToRelay()) return;
+        addToast(`Connection to ${targetUser.name} timed out`, 'error');
+        newPeer.destroy();
       }
-    }, 10000);
+    }, CONNECTION_TIMEOUT);
 
     newPeer.on('signal', (signal) => {
       console.log('⚡ SENDER: Signal generated', signal.type);
-      console.log('Signal data:', JSON.stringify(signal).substring(0, 100));
-      addToast(`Signal: ${signal.type}`, 'info');
-      socket.emit('signal', { to: targetUser.id, signal, from: myId });
-    });
-
-    newPeer.on('icecandidate', (candidate) => {
-      console.log('🧊 SENDER: ICE Candidate:', candidate);
+      socketInstance.emit('signal', { to: targetUser.id, signal, transferId: outgoing.id });
     });
 
     newPeer.on('iceStateChange', (state) => {
       console.log('🧊 SENDER: ICE State Change:', state);
-      addToast(`ICE State: ${state}`, 'info');
     });
 
     newPeer.on('connect', () => {
-      console.log('✅ SENDER: P2P CONNECTED!');
+      console.log(`✅ SENDER: ${relay ? 'RELAY' : 'P2P'} CONNECTED to ${targetUser.name}`);
+      clearTimeout(connectionTimeout);
+      addToast(relay ? `Relaying to ${targetUser.name} through the server` : `Connected to ${targetUser.name} 🚀`, 'success');
+      const lanes = openLanes(newPeer._pc, DATA_LANES);
+      sendMessage(newPeer, helloMessage({ lanes: lanes.length }));
+
+      // Start sending files once the versions match, the lanes both ends opened are up and a slot is free
+      handshake.then(async (peerHello) => {
+        const shared = Math.min(lanes.length, peerHello.lanes || 0);
+        lanes.slice(shared).forEach(channel => channel.close());
+        const opened = await whenLanesOpen(lanes.slice(0, shared));
+        dataChannels = opened.length ? opened : [newPeer._channel];
+        console.log(`🛣️ Sending to ${targetUser.name} over ${dataChannels.length} data channel(s)`);
+
+        updateTransfer(outgoing.id, { status: 'queued', lanes: dataChannels.length, currentFile: 'Waiting for other recipients...' });
+        queueSend(outgoing, newPeer, { only: outgoing.selected || undefined, channels: dataChannels });
+      });
+    });
 
-      // Clear timeout
-      if (connectionTimeoutRef.current) {
-        clearTimeout(connectionTimeoutRef.current);
+    // Receiver handshake, control (pause/resume/cancel/skip), file verdicts and re-requests
+    newPeer.on('data', (data) => {
+      const msg = readMessage(newPeer, outgoing.id, data);
+      if (!msg) return;
+      if (msg.type === 'hello') {
+        try {
+          checkHello(msg);
+          confirmHandshake(msg);
+        } catch (err) {
+          handleProtocolError(newPeer, outgoing.id, err);
+        }
+        return;
       }
-
-      setConnected(true);
-      setConnectionStatus('Connected');
-      setBatchStatus('transferring');
-      addToast('P2P CONNECTED! 🚀', 'success');
-
-      // Start sending files
-      if (files && files.length > 0) {
-        sendFiles(newPeer, files);
+      if (msg.type === 'error') {
+        failTransfer(outgoing.id, `${targetUser.name}: ${msg.message || 'protocol error'}`);
+        return;
+      }
+      if (msg.type === 'ack') {
+        console.log(`📨 ${targetUser.name} checked file ${msg.index}: ${msg.integrity}`);
+        return;
+      }
+      if (msg.type === 'transfer-control') {
+        // A connection only ever controls its own transfer
+        if (msg.transferId === outgoing.id) applyTransferControl(msg, true);
+        else console.warn('⚠️ Transfer control for another transfer ignored:', msg.transferId);
+        return;
+      }
+      if (msg.type !== 'file-request') return;
+      if (msg.transferId !== outgoing.id) {
+        console.warn('⚠️ File request for unknown transfer:', msg.transferId);
+        return;
       }
+      console.log('🔁 Re-sending files:', msg.indices);
+      addToast(`Re-sending ${msg.indices.length} file(s) to ${targetUser.name}`, 'info');
+      queueSend(outgoing, newPeer, { only: new Set(msg.indices), resume: false, channels: dataChannels });
     });
 
     newPeer.on('error', (err) => {
       console.error('❌ SENDER Error:', err);
-      addToast('Connection failed: ' + err.message, 'error');
-      setConnectionStatus('Failed');
-      setBatchStatus('idle');
-
-      if (connectionTimeoutRef.current) {
-        clearTimeout(connectionTimeoutRef.current);
-      }
+      clearTimeout(connectionTimeout);
+      if (!newPeer.connected && fallBackToRelay()) return;
+      addToast(`Connection to ${targetUser.name} failed: ${err.message}`, 'error');
     });
 
     newPeer.on('close', () => {
-      console.log('🔌 SENDER: Connection closed');
-      setConnected(false);
-      setConnectionStatus('Disconnected');
-      setTransferring(false);
-      setBatchStatus('idle');
+      console.log(`🔌 SENDER: Connection to ${targetUser.name} closed`);
+      clearTimeout(connectionTimeout);
+      wakePausedSender(getTransferControl(outgoing.id));
+      if (peersRef.current.get(outgoing.id) !== newPeer) return; // Replaced by a newer connection
+      peersRef.current.delete(outgoing.id);
+
+      // Keep an unfinished batch around so it can be resumed
+      if (!outgoing.done && outgoingTransfersRef.current.has(outgoing.id)) {
+        console.log('⏸️ SENDER: Transfer interrupted:', outgoing.id);
+        addToast(`Connection to ${targetUser.name} lost. You can resume the transfer.`, 'error');
+        updateTransfer(outgoing.id, { status: 'interrupted', paused: false });
+      }
     });
 
-    peerRef.current = newPeer;
-    setPeer(newPeer); // Trigger re-render
+    peersRef.current.set(outgoing.id, newPeer);
   };
 
   // --- CREATE RECEIVER PEER ---
-  const createReceiverPeer = (fromId, signal, socketInstance) => {
-    console.log('🟢 Creating RECEIVER peer from:', fromId);
-    setConnectionStatus('Creating P2P connection...');
-    setBatchStatus('connecting');
-
-    // Clear any existing timeout
-    if (connectionTimeoutRef.current) {
-      clearTimeout(connectionTimeoutRef.current);
-    }
+  // `relay` is set when the sender opened a server relay for this transfer
+  const createReceiverPeer = (fromId, transferId, signal, socketInstance, { relay = false } = {}) => {
+    console.log(`🟢 Creating RECEIVER ${relay ? 'relay' : 'peer'} from:`, fromId);
+    updateTransfer(transferId, {
+      status: 'connecting',
+      relayed: relay,
+      currentFile: relay ? 'Connecting through the server relay...' : 'Establishing P2P connection...'
+    });
+    peersRef.current.get(transferId)?.destroy();
 
     // AGGRESSIVE CONNECTION CONFIG
-    const newPeer = new SimplePeer({
+    const newPeer = relay ? createRelayPeer(socketInstance, { to: fromId, transferId, initiator: false }) : new SimplePeer({
       initiator: false,
       trickle: true, // Changed to true for better mobile compatibility
       allowHalfOpen: true,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:global.stun.twilio.com:3478' }, // Backup STUN
-          { urls: 'stun:stun.services.mozilla.com' }
-        ]
-      }
+      config: { iceServers: getIceServers(socketInstance) }
     });
 
-    // Set connection timeout (10 seconds)
-    connectionTimeoutRef.current = setTimeout(() => {
-      if (!connected) {
+    // With a relay on offer, leave the sender time to fall back to it before giving up
+    const connectionTimeout = relay ? null : setTimeout(() => {
+      if (!newPeer.connected) {
         console.error('⏰ Connection timeout!');
         addToast('Connection timeout. Please try again.', 'error');
-        setConnectionStatus('Timeout');
-        setBatchStatus('idle');
-        if (newPeer) {
-          newPeer.destroy();
-        }
+        newPeer.destroy();
       }
-    }, 10000);
+    }, relayRef.current ? 2 * CONNECTION_TIMEOUT : CONNECTION_TIMEOUT);
 
     newPeer.on('signal', (sig) => {
       console.log('⚡ RECEIVER: Signal generated', sig.type);
-      console.log('Signal data:', JSON.stringify(sig).substring(0, 100));
-      addToast(`Signal: ${sig.type}`, 'info');
-      socketInstance.emit('signal', { to: fromId, signal: sig, from: myId });
+      socketInstance.emit('signal', { to: fromId, signal: sig, transferId });
     });
 
-    newPeer.on('connect', () => {
-      console.log('✅ RECEIVER: P2P CONNECTED!');
-
-      // Clear timeout
-      if (connectionTimeoutRef.current) {
-        clearTimeout(connectionTimeoutRef.current);
-      }
+    // Listen right away: the sender starts talking as soon as its side opens
+    const handleData = setupReceiverEvents(newPeer, transferId);
 
-      setConnected(true);
-      setConnectionStatus('Connected');
-      setBatchStatus('transferring');
-      addToast('P2P CONNECTED! 🚀', 'success');
-      setupReceiverEvents(newPeer);
+    newPeer.on('connect', () => {
+      console.log(`✅ RECEIVER: ${relay ? 'RELAY' : 'P2P'} CONNECTED!`);
+      clearTimeout(connectionTimeout);
+      addToast(relay ? 'Connected through the server relay' : 'P2P CONNECTED! 🚀', 'success');
+      // Lanes exist on this side before our HELLO goes out, so the sender never writes into a missing one
+      const lanes = openLanes(newPeer._pc, DATA_LANES, handleData);
+      sendMessage(newPeer, helloMessage({ lanes: lanes.length }));
+      updateTransfer(transferId, { status: 'connected', currentFile: 'Waiting for sender...' });
     });
 
     newPeer.on('error', (err) => {
       console.error('❌ RECEIVER Error:', err);
       addToast('Connection failed: ' + err.message, 'error');
-      setConnectionStatus('Failed');
-      setBatchStatus('idle');
-
-      if (connectionTimeoutRef.current) {
-        clearTimeout(connectionTimeoutRef.current);
-      }
+      clearTimeout(connectionTimeout);
     });
 
     newPeer.on('close', () => {
       console.log('🔌 RECEIVER: Connection closed');
-      setConnected(false);
-      setConnectionStatus('Disconnected');
-      setBatchStatus('idle');
+      clearTimeout(connectionTimeout);
+      if (peersRef.current.get(transferId) !== newPeer) return; // Replaced by a newer connection
+      peersRef.current.delete(transferId);
+
+      // Partial files stay in incomingTransfersRef until the sender resumes
+      const transfer = incomingTransfersRef.current.get(transferId);
+      if (transfer && !transfer.done) {
+        console.log('⏸️ RECEIVER: Waiting for sender to resume');
+        updateTransfer(transferId, { status: 'interrupted', paused: false });
+      }
     });
 
-    peerRef.current = newPeer;
-    setPeer(newPeer); // Trigger re-render
+    peersRef.current.set(transferId, newPeer);
 
     // Only signal if we have an initial signal (from old flow)
     if (signal) {
@@ -508,96 +1171,351 @@ const App = () => {
     }
   };
 
-  // --- SEND FILES ---
-  const sendFiles = async (peerConnection, files) => {
-    setTransferring(true);
-    const totalBytes = files.reduce((acc, f) => acc + f.size, 0);
-    lastTimeRef.current = Date.now();
-    lastBytesRef.current = 0;
+  // --- TRANSFER CONTROL ---
+  const getTransferControl = (transferId) => {
+    let control = transferControlsRef.current.get(transferId);
+    if (!control) {
+      control = { paused: false, cancelled: false, skipped: new Set(), waiters: [], activeFile: null, lastBytes: 0, lastTime: 0, lastPaint: 0, speed: 0 };
+      transferControlsRef.current.set(transferId, control);
+    }
+    return control;
+  };
 
-    setStats({
-      totalFiles: files.length,
-      processedFiles: 0,
-      totalBytes,
-      processedBytes: 0,
-      speed: '0 MB/s',
-      eta: '--:--',
-      currentFile: files[0]?.name || 'Starting...'
-    });
+  // Sender loop parks here while either side has paused; a closed connection also wakes it
+  const waitWhilePaused = async (peerConnection, control) => {
+    while (control.paused && !control.cancelled && !peerConnection.destroyed) {
+      await new Promise(resolve => control.waiters.push(resolve));
+    }
+  };
 
-    let sentBytesTotal = 0;
+  const wakePausedSender = (control) => {
+    const waiters = control.waiters;
+    control.waiters = [];
+    waiters.forEach(resolve => resolve());
+  };
 
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
+  const resetTransferControl = (transferId) => {
+    const previous = transferControlsRef.current.get(transferId);
+    if (previous) wakePausedSender(previous);
+    transferControlsRef.current.delete(transferId);
+    updateTransfer(transferId, { paused: false });
+    return getTransferControl(transferId);
+  };
 
-      try {
-        // Send header
-        const header = JSON.stringify({
-          type: 'file-header',
-          name: file.name,
-          size: file.size,
-          path: file.webkitRelativePath || file.name
-        });
-        peerConnection.send(header);
-        await new Promise(r => setTimeout(r, 20));
+  // Abort every open writer of an incoming batch (files, folder writables or the ZIP sink)
+  const abortIncomingTransfer = (transfer) => {
+    if (transfer.zip) {
+      transfer.zipReady?.then(writable => writable.abort()).catch(() => { });
+    }
+    transfer.files.forEach((fileState) => {
+      if (fileState.done) return;
+      fileState.aborted = true; // Late chunks still in flight are dropped
+      if ((!transfer.zip || fileState.outsideZip) && fileState.writable) fileState.writable.abort().catch(() => { });
+    });
+    incomingTransfersRef.current.delete(transfer.id);
+  };
 
-        // Send chunks
-        let offset = 0;
-        while (offset < file.size) {
-          const chunk = file.slice(offset, offset + CHUNK_SIZE);
-          const buffer = await chunk.arrayBuffer();
-
-          // Backpressure
-          if (peerConnection._channel && peerConnection._channel.bufferedAmount > BUFFER_THRESHOLD) {
-            await new Promise(resolve => {
-              const check = () => {
-                if (peerConnection._channel.bufferedAmount < BUFFER_THRESHOLD) resolve();
-                else setTimeout(check, 5);
-              };
-              check();
-            });
-          }
+  // Apply a control action locally; `remote` is true when it came from the other side
+  const applyTransferControl = (msg, remote) => {
+    const control = getTransferControl(msg.transferId);
+    const peerName = remote ? 'Peer' : 'You';
 
-          peerConnection.send(Buffer.from(buffer));
-          offset += buffer.byteLength;
-          sentBytesTotal += buffer.byteLength;
+    if (msg.action === 'pause') {
+      control.paused = true;
+      updateTransfer(msg.transferId, { paused: true });
+      if (remote) addToast('Transfer paused by peer', 'info');
+      return;
+    }
 
-          // Update stats
-          updateStats(totalBytes, sentBytesTotal, file.name, files.length, i);
-        }
+    if (msg.action === 'resume') {
+      control.paused = false;
+      updateTransfer(msg.transferId, { paused: false });
+      wakePausedSender(control);
+      if (remote) addToast('Transfer resumed by peer', 'info');
+      return;
+    }
+
+    if (msg.action === 'skip') {
+      control.skipped.add(msg.index);
+      return;
+    }
+
+    if (msg.action === 'cancel') {
+      console.log(`🛑 ${peerName} cancelled transfer ${msg.transferId}`);
+      control.cancelled = true;
+      wakePausedSender(control);
+
+      const outgoing = outgoingTransfersRef.current.get(msg.transferId);
+      if (outgoing) outgoing.done = true;
+      const incoming = incomingTransfersRef.current.get(msg.transferId);
+      if (incoming) abortIncomingTransfer(incoming);
+
+      updateTransfer(msg.transferId, { status: 'cancelled', paused: false, currentFile: 'Cancelled' });
+      addToast(remote ? 'Transfer cancelled by peer' : 'Transfer cancelled', 'info');
+    }
+  };
+
+  // Button handler: send the action over the transfer's data channel, then apply it here
+  const sendTransferControl = (transferId, action) => {
+    const control = getTransferControl(transferId);
+    const msg = { type: 'transfer-control', transferId, action };
+    if (action === 'skip') {
+      if (!control.activeFile) return;
+      msg.index = control.activeFile.index;
+      addToast(`Skipping ${control.activeFile.name}`, 'info');
+    }
+
+    const peerConnection = peersRef.current.get(transferId);
+    if (peerConnection && peerConnection.connected) {
+      try {
+        sendMessage(peerConnection, msg);
+      } catch (err) {
+        console.error('❌ Could not send control message:', err);
+      }
+    }
+    applyTransferControl(msg, false);
+  };
+
+  // --- WIRE PROTOCOL ---
+  const sendMessage = (peerConnection, msg) => peerConnection.send(encodeMessage(msg));
+
+  // Decode an incoming frame; one we can't make sense of fails the transfer (null is returned)
+  const readMessage = (peerConnection, transferId, data) => {
+    try {
+      return decodeMessage(data);
+    } catch (err) {
+      handleProtocolError(peerConnection, transferId, err);
+      return null;
+    }
+  };
+
+  // Tell the other side what went wrong and stop, rather than write bytes we can't place
+  const handleProtocolError = (peerConnection, transferId, err) => {
+    const code = err.code || 'protocol-error';
+    console.error(`❌ Protocol error (${code}):`, err.message);
+    try {
+      sendMessage(peerConnection, { type: 'error', code, message: err.message });
+    } catch (sendErr) {
+      console.warn('⚠️ Could not report protocol error:', sendErr);
+    }
+    failTransfer(transferId, err.message);
+    setTimeout(() => peerConnection.destroy(), 500); // Let the error frame go out first
+  };
+
+  // End a transfer for good on this side, keeping the reason on its dashboard row
+  const failTransfer = (transferId, message) => {
+    const control = getTransferControl(transferId);
+    if (control.failed) return;
+    control.failed = true;
+    control.cancelled = true;
+    wakePausedSender(control);
+
+    const outgoing = outgoingTransfersRef.current.get(transferId);
+    if (outgoing) outgoing.done = true;
+    const incoming = incomingTransfersRef.current.get(transferId);
+    if (incoming) abortIncomingTransfer(incoming);
+
+    updateTransfer(transferId, { status: 'failed', paused: false, currentFile: message });
+    addToast(message, 'error');
+  };
+
+  // --- HASH FILE RANGE ---
+  const hashFileRange = async (file, start, end, hasher) => {
+    for (let offset = start; offset < end; offset += READ_SIZE) {
+      const buffer = await file.slice(offset, Math.min(offset + READ_SIZE, end)).arrayBuffer();
+      hasher.update(buffer);
+    }
+  };
+
+  // --- REQUEST RESUME OFFSETS ---
+  // Receiver answers 'batch-start' with the bytes it already holds for each file
+  const requestResumeOffsets = (peerConnection, transferId, { fileCount, totalBytes, lanes }) => new Promise((resolve) => {
+    const onData = (data) => {
+      const msg = peekMessage(data);
+      if (msg?.type === 'resume-offsets' && msg.transferId === transferId) {
+        clearTimeout(timer);
+        peerConnection.removeListener('data', onData);
+        resolve({ offsets: msg.offsets || {}, completed: new Set(msg.completed || []) });
+      }
+    };
+    const timer = setTimeout(() => {
+      console.warn('⚠️ No resume offsets received, starting from scratch');
+      peerConnection.removeListener('data', onData);
+      resolve({ offsets: {}, completed: new Set() });
+    }, RESUME_OFFSETS_TIMEOUT);
+
+    peerConnection.on('data', onData);
+    sendMessage(peerConnection, { type: 'batch-start', transferId, fileCount, totalBytes, lanes });
+  });
+
+  // --- QUEUE SEND ---
+  // Runs for one recipient (batch, then re-requests) go one after another on its channel;
+  // the limiter caps how many recipients are being fed at once (a paused one gives its slot up)
+  const queueSend = (outgoing, peerConnection, options) => {
+    outgoing.queue = outgoing.queue
+      .then(() => sendLimiter.run(({ suspend }) => sendFiles(peerConnection, outgoing, { ...options, suspend })))
+      .catch(err => console.error(`❌ Sending to ${outgoing.to.name} failed:`, err));
+  };
+
+  // --- SEND FILES ---
+  // `only` limits the run to the receiver's selection; `resume: false` skips the offset exchange.
+  // Chunks are striped round-robin over `channels`; control messages stay on SimplePeer's channel.
+  // `suspend` (from the send limiter) frees this run's slot for other recipients while it is paused.
+  const sendFiles = async (peerConnection, outgoing, { only, resume = true, channels, suspend = (wait) => wait() } = {}) => {
+    const { id: transferId, files } = outgoing;
+    const control = getTransferControl(transferId);
+    if (peerConnection.destroyed || control.cancelled) return;
+    const dataChannels = channels?.length ? channels : [peerConnection._channel];
+    const sendData = createStriper(dataChannels, { highWater: BUFFER_THRESHOLD });
+
+    const included = (i) => !only || only.has(i);
+    const includedCount = files.filter((f, i) => included(i)).length;
+    const totalBytes = files.reduce((acc, f, i) => included(i) ? acc + f.size : acc, 0);
+
+    const { offsets, completed } = resume
+      ? await requestResumeOffsets(peerConnection, transferId, { fileCount: includedCount, totalBytes, lanes: dataChannels.length })
+      : { offsets: {}, completed: new Set() };
+    const startOffsetOf = (i) => completed.has(i) ? files[i].size : Math.min(offsets[i] || 0, files[i].size);
+    const resumedBytes = files.reduce((acc, f, i) => included(i) ? acc + startOffsetOf(i) : acc, 0);
+    let processedFiles = files.filter((f, i) => included(i) && completed.has(i)).length;
+
+    if (resumedBytes > 0) {
+      console.log(`🔁 Resuming from ${formatBytes(resumedBytes)}`);
+      addToast(`Resuming: ${formatBytes(resumedBytes)} already received`, 'info');
+    }
+
+    control.lastTime = Date.now();
+    control.lastBytes = resumedBytes;
+
+    updateTransfer(transferId, {
+      status: 'transferring',
+      totalFiles: includedCount,
+      processedFiles,
+      totalBytes,
+      processedBytes: resumedBytes,
+      speed: '0 MB/s',
+      eta: '--:--',
+      currentFile: files.find((f, i) => included(i))?.name || 'Starting...'
+    });
+
+    let sentBytesTotal = resumedBytes;
 
-        // Send EOF
-        await new Promise(r => setTimeout(r, 10));
-        peerConnection.send(JSON.stringify({ type: 'file-end' }));
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      if (!included(i) || completed.has(i)) continue;
+      if (control.cancelled) break;
+      if (control.skipped.has(i)) {
+        sentBytesTotal += file.size - startOffsetOf(i);
+        processedFiles++;
+        continue;
+      }
+
+      try {
+        // Send header (offset > 0 means the receiver appends to what it has)
+        const startOffset = startOffsetOf(i);
+        sendMessage(peerConnection, {
+          type: 'file-header',
+          transferId,
+          index: i,
+          name: file.name,
+          size: file.size,
+          offset: startOffset,
+          path: file.webkitRelativePath || file.name
+        });
+
+        // A resumed file still needs its already-delivered prefix in the hash
+        const hasher = createSha256();
+        await hashFileRange(file, 0, startOffset, hasher);
+
+        // Send chunks; the receiver buffers any that overtake the header on another lane
+        control.activeFile = { index: i, name: file.name };
+        let offset = startOffset;
+        let seq = 0; // Chunk number within this header's run, used to reassemble in order
+        let skipped = false;
+        while (offset < file.size) {
+          if (control.paused) await suspend(() => waitWhilePaused(peerConnection, control));
+          if (peerConnection.destroyed) throw new Error('Connection closed');
+          if (control.cancelled) break;
+          if (control.skipped.has(i)) {
+            skipped = true;
+            break;
+          }
+
+          const buffer = await file.slice(offset, offset + READ_SIZE).arrayBuffer();
+          hasher.update(buffer);
+
+          // Backpressure: sendData waits for 'bufferedamountlow' on a full channel
+          for (let pos = 0; pos < buffer.byteLength; pos += CHUNK_SIZE) {
+            const length = Math.min(CHUNK_SIZE, buffer.byteLength - pos);
+            await sendData(encodeData(i, seq++, new Uint8Array(buffer, pos, length)));
+          }
+          offset += buffer.byteLength;
+          sentBytesTotal += buffer.byteLength;
+
+          // Update stats
+          updateStats(transferId, totalBytes, sentBytesTotal, file.name, includedCount, processedFiles);
+        }
+
+        control.activeFile = null;
+        if (control.cancelled) break;
+
+        // Skipped mid-file: tell the receiver to drop what it has
+        if (skipped) {
+          console.log(`⏭️ Skipped: ${file.name}`);
+          sendMessage(peerConnection, { type: 'file-abort', transferId, index: i });
+          sentBytesTotal += file.size - offset;
+          processedFiles++;
+          continue;
+        }
+
+        // Send EOF with the chunk count, so the receiver knows when the last lane has delivered
+        sendMessage(peerConnection, { type: 'file-end', transferId, index: i, size: file.size, sha256: hasher.digest(), chunks: seq });
+        processedFiles++;
 
       } catch (err) {
+        // A dropped connection ends the loop; the close handler offers a resume
+        if (peerConnection.destroyed) {
+          console.warn(`⏸️ Connection lost while sending ${file.name}`);
+          return;
+        }
         console.error(`Error sending ${file.name}:`, err);
         addToast(`Failed to send ${file.name}`, 'error');
       }
     }
 
-    setTransferring(false);
-    setStats(prev => ({ ...prev, processedFiles: files.length, currentFile: 'Completed!' }));
-    addToast('All files sent!', 'success');
-    setSelectedFiles([]);
+    control.activeFile = null;
+    if (peerConnection.destroyed || control.cancelled) return;
+    sendMessage(peerConnection, { type: 'batch-end', transferId });
+    outgoing.done = true;
+
+    updateTransfer(transferId, {
+      status: 'completed',
+      processedFiles: includedCount,
+      processedBytes: totalBytes,
+      eta: '00:00',
+      currentFile: 'Completed!'
+    });
+    addToast(`All files sent to ${outgoing.to.name}!`, 'success');
   };
 
   // --- UPDATE STATS ---
-  const updateStats = (totalBytes, processedBytes, currentFile, totalFiles, processedFiles) => {
+  // Speed is sampled over one-second windows and smoothed; progress repaints at most every STATS_INTERVAL
+  const updateStats = (transferId, totalBytes, processedBytes, currentFile, totalFiles, processedFiles) => {
+    const control = getTransferControl(transferId);
     const now = Date.now();
-    const timeDiff = (now - lastTimeRef.current) / 1000;
-
+    const timeDiff = (now - control.lastTime) / 1000;
     if (timeDiff === 0) return;
 
     if (timeDiff >= 1 || processedBytes === totalBytes) {
-      const bytesDiff = processedBytes - lastBytesRef.current;
-      const speedBytesPerSec = timeDiff > 0 ? bytesDiff / timeDiff : 0;
+      const bytesDiff = processedBytes - control.lastBytes;
+      const sample = timeDiff > 0 ? bytesDiff / timeDiff : 0;
+      const speedBytesPerSec = control.speed ? control.speed * 0.3 + sample * 0.7 : sample;
       const speedMB = (speedBytesPerSec / 1024 / 1024).toFixed(1);
 
       const remainingBytes = totalBytes - processedBytes;
       const etaSeconds = speedBytesPerSec > 0 ? remainingBytes / speedBytesPerSec : 0;
 
-      setStats({
+      updateTransfer(transferId, {
         totalFiles,
         processedFiles,
         totalBytes,
@@ -607,105 +1525,720 @@ const App = () => {
         currentFile
       });
 
-      lastTimeRef.current = now;
-      lastBytesRef.current = processedBytes;
-    } else {
-      setStats(prev => ({
-        ...prev,
+      control.speed = speedBytesPerSec;
+      control.lastTime = now;
+      control.lastBytes = processedBytes;
+      control.lastPaint = now;
+    } else if (now - (control.lastPaint || 0) >= STATS_INTERVAL) {
+      control.lastPaint = now;
+      updateTransfer(transferId, {
         processedFiles,
         processedBytes,
         currentFile
-      }));
+      });
     }
   };
 
-  // --- SETUP RECEIVER EVENTS ---
-  const setupReceiverEvents = (peerConnection) => {
-    let currentFileMeta = null;
-    let fileHandle = null;
-    let writable = null;
-    let chunks = [];
-    let isFileSystemAPI = false;
-    let receivedBytes = 0;
-
-    peerConnection.on('data', async (data) => {
-      let isControl = false;
-      let msg = null;
+  // --- OPEN FILE WRITER ---
+  // Chosen folder (nested paths kept) → StreamSaver → Blob download.
+  // Without a folder the relative path is folded into the download name.
+  // Writes are chained on fileState.writeChain, so data arriving while the
+  // writer is still opening is queued rather than lost.
+  const openFileWriter = (fileState, transfer) => {
+    const segments = getSafePathSegments(fileState.path, fileState.name);
+    const rootHandle = rootDirHandleRef.current;
+    fileState.writable = null;
+    fileState.chunks = [];
+    fileState.previewChunks = null;
+    fileState.downloadName = flattenPathSegments(segments);
+
+    // Zipped batch: the file becomes the next entry of the open archive. A file re-requested
+    // (after a corrupted copy) is saved on its own instead, as it is once batch-end has closed
+    // the archive, since the batch is then registered again without one.
+    if (transfer?.zip && !transfer.zip.isClosed() && !fileState.outsideZip) {
+      fileState.writable = transfer.zip.addFile(segments.join('/'), { size: fileState.size });
+      fileState.previewChunks = fileState.galleryType ? [] : null;
+      fileState.writeChain = Promise.resolve();
+      return;
+    }
+
+    // A new file (never one already in the folder; see createFileHandleAt), or for a restarted
+    // file the one its earlier run created. The handle is kept so the gallery can read it back.
+    if (rootHandle) {
+      const ready = fileState.fileHandle ? Promise.resolve(fileState.fileHandle) : createFileHandleAt(rootHandle, segments);
+      fileState.writeChain = ready
+        .then(handle => handle.createWritable().then(writable => {
+          if (handle.name !== segments[segments.length - 1]) console.log(`📁 ${segments.join('/')} already exists, saving as ${handle.name}`);
+          fileState.fileHandle = handle;
+          fileState.writable = writable;
+        }))
+        .catch(err => {
+          console.error('❌ Folder write failed, using download fallback:', err);
+          addToast(`Could not write ${segments.join('/')} to folder`, 'error');
+          openDownloadWriter(fileState);
+        });
+      return;
+    }
+
+    openDownloadWriter(fileState);
+    fileState.writeChain = Promise.resolve();
+  };
+
+  // StreamSaver when available, otherwise chunks are collected for a Blob download.
+  // Streamed gallery files also keep a copy of their chunks, since a download can't be read back.
+  const openDownloadWriter = (fileState) => {
+    // For iOS/mobile, skip StreamSaver and use Blob
+    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
 
+    if (!isIOS && streamSaver.supported) {
       try {
-        if (data.byteLength < 1000) {
-          const text = data.toString();
-          if (text.startsWith('{')) {
-            msg = JSON.parse(text);
-            isControl = true;
+        const fileStream = streamSaver.createWriteStream(fileState.downloadName, { size: fileState.size });
+        fileState.writable = fileStream.getWriter();
+        fileState.previewChunks = fileState.galleryType ? [] : null;
+      } catch (err) {
+        console.log('StreamSaver failed, using Blob fallback:', err);
+      }
+    }
+  };
+
+  // --- GALLERY PREVIEW ---
+  // Object URL for a received image or video, or null. Folder saves are read back from disk;
+  // anything else keeps its bytes in memory until GALLERY_MEMORY_BUDGET is used up.
+  const createGalleryPreview = async (fileState, chunks) => {
+    const type = fileState.galleryType;
+    if (!type) return null;
+    if (fileState.fileHandle) {
+      const file = await fileState.fileHandle.getFile();
+      return URL.createObjectURL(file.slice(0, file.size, type));
+    }
+    if (!chunks || galleryBytesRef.current + fileState.size > GALLERY_MEMORY_BUDGET) return null;
+    galleryBytesRef.current += fileState.size;
+    return URL.createObjectURL(new Blob(chunks, { type }));
+  };
+
+  const handleClearReceived = () => {
+    receivedFiles.forEach(f => { if (f.previewUrl) URL.revokeObjectURL(f.previewUrl); });
+    galleryBytesRef.current = 0;
+    setReceivedFiles([]);
+  };
+
+  // --- OPEN ZIP ARCHIVE ---
+  // The archive streams into the chosen folder or through StreamSaver, never into memory
+  const openZipArchive = (transfer) => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    const archiveName = `${sanitizeSegment(`LocalLink ${transfer.fromName || 'batch'} ${stamp}`) || 'LocalLink'}.zip`;
+    const rootHandle = rootDirHandleRef.current;
+
+    let ready;
+    if (rootHandle) {
+      ready = createFileHandleAt(rootHandle, [archiveName]).then(handle => handle.createWritable());
+    } else {
+      ready = Promise.resolve(streamSaver.createWriteStream(archiveName).getWriter());
+    }
+    ready.then(writable => { transfer.zipWritable = writable; }).catch(err => {
+      console.error('❌ Could not open archive:', err);
+      addToast('Could not create ZIP archive', 'error');
+    });
+
+    const sink = { write: async (bytes) => (await ready).write(bytes) };
+    transfer.zipReady = ready;
+    transfer.zip = createZipWriter(sink, { compression: transfer.zipMode });
+    console.log(`🗜️ Streaming batch into ${archiveName} (${transfer.zipMode})`);
+  };
+
+  const closeZipArchive = async (transfer) => {
+    try {
+      await transfer.zip.close();
+      const writable = await transfer.zipReady;
+      await writable.close();
+      addToast('ZIP archive saved', 'success');
+    } catch (err) {
+      console.error('❌ Could not finish archive:', err);
+      addToast('ZIP archive could not be completed', 'error');
+    }
+  };
+
+  // Zipping needs a streaming destination; Blob fallback would hold the whole archive in memory
+  const canStreamZip = !!saveFolderName || (streamSaver.supported && !/iPad|iPhone|iPod/.test(navigator.userAgent));
+
+  // --- CHOOSE DESTINATION FOLDER ---
+  const handleChooseFolder = async () => {
+    try {
+      const handle = await window.showDirectoryPicker({ mode: 'readwrite' });
+      rootDirHandleRef.current = handle;
+      setSaveFolderName(handle.name);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('❌ Folder picker error:', err);
+        addToast('Could not open folder', 'error');
+      }
+    }
+  };
+
+  const handleClearFolder = () => {
+    rootDirHandleRef.current = null;
+    setSaveFolderName(null);
+  };
+
+  // --- SETUP RECEIVER EVENTS ---
+  // Control frames arrive in order on SimplePeer's channel and are handled one at a time;
+  // file data can come over any lane, out of order, and is put back in sequence per file.
+  // Returns the frame handler so the data lanes can feed it too.
+  const setupReceiverEvents = (peerConnection, transferId) => {
+    // Per-file state lives in incomingTransfersRef so it survives a reconnect
+    let transfer = null;
+    let batchTotals = { fileCount: 0, totalBytes: 0, receivedBytes: 0, processedFiles: 0 };
+    let controlChain = Promise.resolve();
+    const openFiles = new Map(); // index → fileState for files announced on this connection
+    const earlyChunks = new Map(); // index → [{ seq, bytes }] that beat their header here
+
+    // Take chunks in sequence: count, hash and queue the write for each one in order
+    const acceptChunk = (fileState, seq, bytes) => {
+      if (fileState.done || fileState.aborted || seq < fileState.nextSeq || fileState.pending.has(seq)) return;
+      // Never more than the header announced (and we accepted)
+      if (fileState.received + fileState.pendingBytes + bytes.length > fileState.size) {
+        fileState.aborted = true;
+        handleProtocolError(peerConnection, transferId, new ProtocolError('policy-violation', `${fileState.name} is larger than announced`));
+        return;
+      }
+      fileState.pending.set(seq, bytes);
+      fileState.pendingBytes += bytes.length;
+      while (fileState.pending.has(fileState.nextSeq)) {
+        const chunk = fileState.pending.get(fileState.nextSeq);
+        fileState.pending.delete(fileState.nextSeq);
+        fileState.pendingBytes -= chunk.length;
+        fileState.nextSeq++;
+        // Count and hash before the write settles so resume offsets never lag behind queued writes
+        fileState.received += chunk.length;
+        fileState.hasher.update(chunk);
+        batchTotals.receivedBytes += chunk.length;
+        fileState.writeChain = fileState.writeChain.then(() => {
+          if (fileState.writable) {
+            fileState.previewChunks?.push(chunk);
+            return fileState.writable.write(chunk);
           }
+          fileState.chunks.push(chunk);
+        });
+      }
+      updateStats(fileState.transferId, batchTotals.totalBytes, batchTotals.receivedBytes, fileState.name, batchTotals.fileCount, batchTotals.processedFiles);
+      if (fileState.expectedChunks !== null && fileState.nextSeq >= fileState.expectedChunks) {
+        fileState.markComplete();
+      }
+    };
+
+    // Fresh per-run reassembly state; resolves `complete` once `expectedChunks` are in
+    const startRun = (fileState) => {
+      fileState.pending = new Map();
+      fileState.pendingBytes = 0;
+      fileState.nextSeq = 0;
+      fileState.expectedChunks = null;
+      fileState.complete = new Promise(resolve => { fileState.markComplete = resolve; });
+      openFiles.set(fileState.index, fileState);
+      (earlyChunks.get(fileState.index) || []).forEach(({ seq, bytes }) => acceptChunk(fileState, seq, bytes));
+      earlyChunks.delete(fileState.index);
+    };
+
+    const handleControl = async (msg) => {
+      if (msg.type === 'batch-start') {
+        // Only acceptBatch registers a batch; one this connection wasn't opened for was never asked for
+        transfer = msg.transferId === transferId ? incomingTransfersRef.current.get(transferId) : null;
+        if (!transfer || transfer.done) {
+          handleProtocolError(peerConnection, transferId, new ProtocolError('not-accepted', 'That batch was not accepted on this device'));
+          return;
         }
-      } catch (e) { }
-
-      if (isControl) {
-        if (msg.type === 'file-header') {
-          console.log(`📥 Receiving: ${msg.name}`);
-          currentFileMeta = msg;
-          receivedBytes = 0;
-
-          // For iOS/mobile, skip FileSystem API and use Blob
-          const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-          isFileSystemAPI = false;
-
-          if (!isIOS) {
-            if (streamSaver.supported) {
-              try {
-                const fileStream = streamSaver.createWriteStream(msg.name, { size: msg.size });
-                writable = fileStream.getWriter();
-              } catch (err) {
-                console.log('StreamSaver failed, using Blob fallback');
-                chunks = [];
-              }
-            } else {
-              chunks = [];
-            }
-          } else {
-            chunks = [];
-          }
+        if (transfer.zipMode && transfer.zipMode !== 'off' && !transfer.zip) {
+          openZipArchive(transfer);
+        }
+        // Every run starts unpaused on the sender's side, so drop any stale pause here too
+        const control = resetTransferControl(msg.transferId);
+
+        // Receiver-side progress, picking up from what is already on disk
+        const alreadyReceived = Array.from(transfer.files.values()).reduce((acc, f) => acc + f.received, 0);
+        const alreadyDone = Array.from(transfer.files.values()).filter(f => f.done).length;
+        batchTotals = {
+          fileCount: msg.fileCount || 0,
+          totalBytes: msg.totalBytes || 0,
+          receivedBytes: alreadyReceived,
+          processedFiles: alreadyDone
+        };
+        control.lastTime = Date.now();
+        control.lastBytes = alreadyReceived;
+        updateTransfer(msg.transferId, {
+          status: 'transferring',
+          lanes: msg.lanes || 1,
+          totalFiles: batchTotals.fileCount,
+          processedFiles: alreadyDone,
+          totalBytes: batchTotals.totalBytes,
+          processedBytes: alreadyReceived,
+          speed: '0 MB/s',
+          eta: '--:--',
+          currentFile: 'Starting...'
+        });
 
+        // Report what we already have so the sender can skip it
+        const offsets = {};
+        const completed = [];
+        transfer.files.forEach((fileState, index) => {
+          if (fileState.done) completed.push(index);
+          else offsets[index] = fileState.received;
+        });
+        console.log(`🔁 Reporting resume state: ${completed.length} done, ${Object.keys(offsets).length} partial`);
+        sendMessage(peerConnection, { type: 'resume-offsets', transferId: msg.transferId, offsets, completed });
+        return;
+      }
+
+      if (msg.type === 'file-header') {
+        // Files only ever belong to an accepted batch that has started
+        if (!transfer || msg.transferId !== transfer.id) {
+          handleProtocolError(peerConnection, transferId, new ProtocolError('not-accepted', 'File sent outside an accepted batch'));
+          return;
+        }
+        // The sender's request was only a claim: each file must be one we accepted, as listed
+        const otherBytes = Array.from(transfer.files.values()).reduce((acc, f) => acc + (f.index === msg.index ? 0 : f.size), 0);
+        const mismatch = transfer.acceptance && checkFileHeader(transfer.acceptance, msg, otherBytes);
+        if (mismatch) {
+          handleProtocolError(peerConnection, transferId, new ProtocolError('policy-violation', mismatch));
           return;
         }
+        const existing = transfer.files.get(msg.index);
 
-        if (msg.type === 'file-end') {
-          console.log(`✅ File received: ${currentFileMeta.name}`);
-
-          if (writable) {
-            await writable.close();
-            writable = null;
-          } else {
-            const blob = new Blob(chunks);
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = currentFileMeta.name;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            chunks = [];
-          }
+        getTransferControl(msg.transferId).activeFile = { index: msg.index, name: msg.name };
 
-          addToast(`Received: ${currentFileMeta.name}`, 'success');
-          currentFileMeta = null;
+        if (existing && !existing.done && existing.received === msg.offset && msg.offset > 0) {
+          console.log(`🔁 Resuming: ${msg.name} at ${formatBytes(msg.offset)}`);
+          startRun(existing);
           return;
         }
+
+        // A zip entry can't be taken back once streamed, so a partial file that starts over
+        // would be in the archive twice; only a resume at the offset we have continues it
+        if (transfer.zip && existing && !existing.done && !existing.outsideZip) {
+          handleProtocolError(peerConnection, transferId, new ProtocolError('protocol-error', `${msg.name} started over inside the ZIP archive`));
+          return;
+        }
+
+        console.log(`📥 Receiving: ${msg.name}`);
+        if (existing?.writable && (!transfer.zip || existing.outsideZip)) {
+          existing.writable.abort().catch(() => { });
+        }
+        const fileState = {
+          transferId: msg.transferId,
+          index: msg.index,
+          name: msg.name,
+          size: msg.size,
+          path: msg.path,
+          fileHandle: existing?.fileHandle, // Starting over rewrites our own file rather than adding "name (1)"
+          outsideZip: !!existing, // Re-requested: its entry is already in the archive
+          galleryType: msg.size <= GALLERY_MAX_FILE ? galleryType(msg.name) : null,
+          received: 0,
+          hasher: createSha256(),
+          done: false
+        };
+        openFileWriter(fileState, transfer);
+        transfer.files.set(msg.index, fileState);
+        startRun(fileState);
+        return;
+      }
+
+      if (msg.type === 'file-end') {
+        const fileState = openFiles.get(msg.index);
+        getTransferControl(msg.transferId).activeFile = null;
+        if (!fileState || fileState.aborted) return;
+
+        // The last chunks may still be on their way over other lanes
+        fileState.expectedChunks = msg.chunks ?? fileState.nextSeq;
+        if (fileState.nextSeq < fileState.expectedChunks) {
+          await fileState.complete;
+          if (fileState.aborted) return;
+        }
+        openFiles.delete(msg.index);
+        fileState.done = true;
+        batchTotals.processedFiles++;
+
+        // Integrity: byte count and SHA-256 must both match what the sender read
+        const actualHash = fileState.hasher.digest();
+        const sizeMatches = fileState.received === (msg.size ?? fileState.size);
+        let integrity = 'unverified';
+        if (!sizeMatches || (msg.sha256 && msg.sha256 !== actualHash)) {
+          integrity = 'corrupted';
+        } else if (msg.sha256) {
+          integrity = 'verified';
+        }
+        console.log(`✅ File received: ${fileState.name} (${integrity})`);
+        sendMessage(peerConnection, { type: 'ack', transferId: msg.transferId, index: fileState.index, integrity });
+        const entry = {
+          transferId: msg.transferId,
+          index: fileState.index,
+          name: fileState.name,
+          path: fileState.path,
+          size: fileState.size,
+          integrity
+        };
+        setReceivedFiles(prev => [
+          ...prev.filter(f => !(f.transferId === entry.transferId && f.index === entry.index)),
+          entry
+        ]);
+
+        await fileState.writeChain;
+        let galleryChunks;
+        if (fileState.writable) {
+          await fileState.writable.close();
+          fileState.writable = null;
+          galleryChunks = fileState.previewChunks;
+        } else {
+          galleryChunks = fileState.chunks;
+          const blob = new Blob(fileState.chunks);
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = fileState.downloadName;
+          document.body.appendChild(a);
+          a.click();
+          document.body.removeChild(a);
+          URL.revokeObjectURL(url);
+          fileState.chunks = [];
+        }
+
+        if (integrity !== 'corrupted') {
+          const previewUrl = await createGalleryPreview(fileState, galleryChunks).catch(err => {
+            console.warn(`⚠️ No gallery preview for ${fileState.name}:`, err.message);
+            return null;
+          });
+          if (previewUrl) {
+            setReceivedFiles(prev => prev.map(f => (f.transferId === entry.transferId && f.index === entry.index
+              ? { ...f, previewUrl, previewType: fileState.galleryType }
+              : f)));
+          }
+        }
+        fileState.previewChunks = null;
+
+        if (integrity === 'corrupted') {
+          addToast(`Corrupted: ${fileState.name}`, 'error');
+        } else {
+          addToast(`Received: ${fileState.name}`, 'success');
+        }
+        return;
       }
 
-      // Binary Data
-      if (currentFileMeta) {
-        if (writable) {
-          await writable.write(data);
+      if (msg.type === 'file-abort') {
+        const fileState = openFiles.get(msg.index);
+        if (!fileState) return;
+        openFiles.delete(msg.index);
+        getTransferControl(msg.transferId).activeFile = null;
+        console.log(`⏭️ Skipped: ${fileState.name}`);
+        fileState.done = true; // Chunks still in flight are dropped
+        fileState.pending.clear();
+        batchTotals.processedFiles++;
+        batchTotals.receivedBytes += fileState.size - fileState.received;
+        await fileState.writeChain;
+        if (fileState.writable) {
+          fileState.writable.abort().catch(() => { });
+          fileState.writable = null;
+        }
+        fileState.chunks = [];
+        fileState.previewChunks = null;
+        setReceivedFiles(prev => [
+          ...prev.filter(f => !(f.transferId === msg.transferId && f.index === fileState.index)),
+          { transferId: msg.transferId, index: fileState.index, name: fileState.name, path: fileState.path, size: fileState.size, integrity: 'skipped' }
+        ]);
+        return;
+      }
+
+      if (msg.type === 'batch-end') {
+        console.log('✅ Batch complete:', msg.transferId);
+        const finished = transfer;
+        incomingTransfersRef.current.delete(msg.transferId);
+        transfer = null;
+        getTransferControl(msg.transferId).activeFile = null;
+        updateTransfer(msg.transferId, row => ({
+          status: 'completed',
+          processedFiles: row.totalFiles,
+          processedBytes: row.totalBytes,
+          eta: '00:00',
+          currentFile: 'Completed!'
+        }));
+        if (finished?.zip && !finished.zip.isClosed()) {
+          await closeZipArchive(finished);
+        }
+      }
+    };
+
+    const onData = (data) => {
+      const msg = readMessage(peerConnection, transferId, data);
+      if (!msg) return;
+
+      if (msg.type === 'data') {
+        const fileState = openFiles.get(msg.index);
+        if (fileState) {
+          acceptChunk(fileState, msg.seq, msg.bytes);
         } else {
-          chunks.push(data);
+          // Its header is still queued behind the previous file's end
+          if (!earlyChunks.has(msg.index)) earlyChunks.set(msg.index, []);
+          earlyChunks.get(msg.index).push({ seq: msg.seq, bytes: msg.bytes });
         }
-        receivedBytes += data.length;
+        return;
+      }
+
+      if (msg.type === 'hello') {
+        try {
+          checkHello(msg);
+        } catch (err) {
+          handleProtocolError(peerConnection, transferId, err);
+        }
+        return;
+      }
+
+      if (msg.type === 'error') {
+        failTransfer(transferId, `Sender: ${msg.message || 'protocol error'}`);
+        return;
       }
+
+      // Pause/resume/cancel act at once instead of waiting behind a file that is still arriving
+      if (msg.type === 'transfer-control') {
+        // A connection only ever controls its own transfer
+        if (msg.transferId !== transferId) {
+          console.warn('⚠️ Transfer control for another transfer ignored:', msg.transferId);
+          return;
+        }
+        applyTransferControl(msg, true);
+        if (msg.action === 'cancel') {
+          transfer = null;
+          getTransferControl(msg.transferId).activeFile = null;
+          openFiles.forEach((fileState) => {
+            fileState.aborted = true;
+            fileState.markComplete();
+          });
+          openFiles.clear();
+          earlyChunks.clear();
+        }
+        return;
+      }
+
+      controlChain = controlChain
+        .then(() => handleControl(msg))
+        .catch(err => console.error(`❌ Error handling ${msg.type}:`, err));
+    };
+
+    peerConnection.on('data', onData);
+    return onData;
+  };
+
+  // --- RE-REQUEST CORRUPTED FILES ---
+  const handleRerequestCorrupted = () => {
+    const corrupted = receivedFiles.filter(f => f.integrity === 'corrupted');
+    if (!corrupted.length) return;
+
+    const byTransfer = new Map();
+    corrupted.forEach(f => {
+      byTransfer.set(f.transferId, [...(byTransfer.get(f.transferId) || []), f]);
     });
+
+    // Each batch goes back to the sender over its own connection
+    const requested = new Set();
+    byTransfer.forEach((files, transferId) => {
+      const indices = files.map(f => f.index);
+      const peerConnection = peersRef.current.get(transferId);
+      if (!peerConnection || peerConnection.destroyed || !peerConnection.connected) return;
+      // After batch-end the batch is forgotten; asking again accepts it again, for these files.
+      // A zipped batch's archive is closed by then, so they arrive as separate downloads.
+      if (!incomingTransfersRef.current.has(transferId)) {
+        const row = transfers[transferId];
+        incomingTransfersRef.current.set(transferId, {
+          id: transferId,
+          from: row?.peerId,
+          // Without the file list (too long to keep, or never sent) only the files' sizes bind
+          acceptance: createAcceptance({
+            manifest: row?.files || null,
+            files: indices,
+            totalBytes: files.reduce((acc, f) => acc + f.size, 0),
+            policy: policyRef.current
+          }),
+          files: new Map(),
+          done: false
+        });
+      }
+      sendMessage(peerConnection, { type: 'file-request', transferId, indices });
+      requested.add(transferId);
+    });
+
+    if (!requested.size) {
+      addToast('Sender is no longer connected', 'error');
+      return;
+    }
+
+    setReceivedFiles(prev => prev.map(f => f.integrity === 'corrupted' && requested.has(f.transferId) ? { ...f, integrity: 'pending' } : f));
+    const count = corrupted.filter(f => requested.has(f.transferId)).length;
+    addToast(`Re-requested ${count} file(s)`, 'info');
+  };
+
+  // --- RESUME / DISCARD / DISMISS TRANSFERS ---
+  const handleResumeTransfer = (transferId) => {
+    const outgoing = outgoingTransfersRef.current.get(transferId);
+    const socketInstance = socketRef.current;
+    if (!outgoing || !socketInstance) return;
+
+    // Device IDs survive reconnects, so the receiver is found even if their connection dropped meanwhile
+    const target = usersRef.current.find(u => u.id === outgoing.to.id);
+    if (!target) {
+      addToast(`${outgoing.to.name} is not online`, 'error');
+      return;
+    }
+
+    outgoing.to = target;
+    resetTransferControl(outgoing.id);
+    const totalBytes = outgoing.files.reduce((acc, f) => acc + f.size, 0);
+
+    console.log('🔁 Requesting resume:', outgoing.id);
+    updateTransfer(outgoing.id, { status: 'waiting', peerId: target.id, currentFile: 'Waiting for answer...' });
+    socketInstance.emit('batch-request', {
+      to: target.id,
+      transferId: outgoing.id,
+      fileCount: outgoing.files.length,
+      totalSize: formatBytes(totalBytes),
+      totalBytes
+    });
+  };
+
+  // Forget a transfer on this side: its connection, queued data and dashboard row
+  const forgetTransfer = (transferId) => {
+    // Dismissing a resumable transfer gives it up; history keeps it as interrupted
+    const row = transfers[transferId];
+    const outgoing = outgoingTransfersRef.current.get(transferId);
+    if (row?.status === 'interrupted') {
+      saveHistory(row, { recorded: historyRecordedRef.current, outgoing, receivedFiles, startedAt: historyStartsRef.current.get(transferId) })
+        .then(entry => setHistory(prev => withHistoryEntry(prev, entry)))
+        .catch(err => console.error('❌ Could not save history:', err));
+    }
+    historyStartsRef.current.delete(transferId);
+
+    if (outgoing) outgoing.done = true;
+    outgoingTransfersRef.current.delete(transferId);
+
+    const incoming = incomingTransfersRef.current.get(transferId);
+    if (incoming) abortIncomingTransfer(incoming);
+
+    const control = transferControlsRef.current.get(transferId);
+    if (control) {
+      control.cancelled = true;
+      wakePausedSender(control);
+      transferControlsRef.current.delete(transferId);
+    }
+
+    const peerConnection = peersRef.current.get(transferId);
+    peersRef.current.delete(transferId);
+    peerConnection?.destroy();
+    removeTransfer(transferId);
+  };
+
+  const handleDiscardTransfer = (transferId) => {
+    forgetTransfer(transferId);
+    addToast('Transfer discarded', 'info');
+  };
+
+  // --- TRANSFER HISTORY ---
+  // A row is written once it reaches a final status; its clock starts when data starts moving
+  useEffect(() => {
+    Object.values(transfers).forEach(row => {
+      if (isActiveTransfer(row) && !historyStartsRef.current.has(row.id)) historyStartsRef.current.set(row.id, Date.now());
+      if (!isFinishedTransfer(row)) return;
+      saveHistory(row, {
+        recorded: historyRecordedRef.current,
+        outgoing: outgoingTransfersRef.current.get(row.id),
+        receivedFiles,
+        startedAt: historyStartsRef.current.get(row.id)
+      })
+        .then(entry => setHistory(prev => withHistoryEntry(prev, entry)))
+        .catch(err => console.error('❌ Could not save history:', err));
+    });
+  }, [transfers, receivedFiles]);
+
+  const handleClearHistory = async () => {
+    try {
+      await clearHistory();
+      setHistory([]);
+      addToast('History cleared', 'info');
+    } catch (err) {
+      console.error('❌ Could not clear history:', err);
+    }
+  };
+
+  const handleClearFinished = () => {
+    Object.values(transfers).filter(isFinishedTransfer).forEach(t => forgetTransfer(t.id));
+  };
+
+  // --- DEVICE SELECTION ---
+  const toggleUserSelected = (userId) => {
+    setSelectedUserIds(prev => {
+      const next = new Set(prev);
+      if (next.has(userId)) next.delete(userId);
+      else next.add(userId);
+      return next;
+    });
+  };
+
+  // With devices ticked a click adds or removes the card; otherwise it sends straight to that device
+  const handleUserClick = (user) => {
+    if (selectedUserIds.size > 0) {
+      toggleUserSelected(user.id);
+      return;
+    }
+    sendTargetsRef.current = [user];
+    fileInputRef.current?.click();
+  };
+
+  const handleSendToSelected = () => {
+    const targets = users.filter(u => selectedUserIds.has(u.id));
+    if (!targets.length) return;
+    sendTargetsRef.current = targets;
+    fileInputRef.current?.click();
+  };
+
+  // --- REQUEST BATCH ---
+  // Fan-out: every recipient gets its own transferId, request, peer connection and dashboard row
+  const requestBatch = async (files, targets) => {
+    const totalBytes = files.reduce((acc, f) => acc + f.size, 0);
+    const { manifest, truncated } = buildManifest(files);
+    // Thumbnails and snippets only travel with the request; rows and history keep the plain manifest
+    const requestManifest = await attachPreviews(manifest.map(entry => ({ ...entry })), files);
+    // Devices we paired with can auto-accept our signed requests
+    const identity = await peekIdentity().catch(() => null);
+
+    for (const target of targets) {
+      const transferId = generateTransferId();
+      outgoingTransfersRef.current.set(transferId, {
+        id: transferId,
+        to: target,
+        files,
+        selected: null,
+        done: false,
+        queue: Promise.resolve()
+      });
+      addTransfer({
+        id: transferId,
+        direction: 'send',
+        peerId: target.id,
+        peerName: target.name,
+        totalFiles: files.length,
+        totalBytes,
+        files: manifest,
+        currentFile: 'Waiting for answer...'
+      });
+
+      const auth = identity
+        ? await signBatchRequest(identity, { transferId, to: target.id, fileCount: files.length, totalBytes }).catch(() => undefined)
+        : undefined;
+
+      socket.emit('batch-request', {
+        to: target.id,
+        transferId,
+        fileCount: files.length,
+        totalSize: formatBytes(totalBytes),
+        totalBytes,
+        manifest: requestManifest,
+        manifestTruncated: truncated,
+        auth
+      });
+    }
   };
 
   // --- HANDLE FILE SELECT ---
@@ -713,82 +2246,41 @@ const App = () => {
     try {
       // STEP 1: Function started
       console.log('📁 [STEP 1] File selection started');
-      addToast('File selection started...', 'info');
 
       // STEP 2: Get files from input
-      console.log('📁 [STEP 2] Getting files from input');
       const files = Array.from(e.target.files);
-
       if (!files.length) {
         console.log('⚠️ [STEP 2] No files selected');
         addToast('No files selected', 'error');
         return;
       }
+      console.log(`📊 [STEP 2] ${files.length} files selected`);
 
-      console.log(`📊 [STEP 3] ${files.length} files selected`);
-      addToast(`${files.length} files selected`, 'info');
-
-      // STEP 4: Process each file
-      console.log('📁 [STEP 4] Processing files...');
-      for (let i = 0; i < files.length; i++) {
-        console.log(`   Processing file ${i + 1}/${files.length}: ${files[i].name}`);
-      }
-
-      // STEP 5: Check if user is selected
-      if (!selectedUserRef.current) {
-        console.log('⚠️ [STEP 5] No user selected');
+      // STEP 3: Check recipients
+      const targets = sendTargetsRef.current;
+      if (!targets.length) {
+        console.log('⚠️ [STEP 3] No user selected');
         addToast('No user selected', 'error');
-        e.target.value = '';
         return;
       }
+      console.log(`📁 [STEP 3] Targets: ${targets.map(u => u.name).join(', ')}`);
 
-      const targetUser = selectedUserRef.current;
-      console.log(`📁 [STEP 5] Target user: ${targetUser.name} (${targetUser.id})`);
-
-      setSelectedFiles(files);
-      selectedFilesRef.current = files; // Keep ref in sync
-
-      // STEP 6: Calculate total size
-      console.log('💾 [STEP 6] Calculating total size...');
-      addToast('Calculating size...', 'info');
-
-      const totalBytes = files.reduce((acc, f) => acc + f.size, 0);
-
-      console.log(`📦 [STEP 7] Total size: ${formatBytes(totalBytes)} (${totalBytes} bytes)`);
-      addToast(`Total: ${formatBytes(totalBytes)}`, 'info');
-
-      // STEP 8: Check socket connection
+      // STEP 4: Check socket connection
       if (!socket) {
-        console.log('❌ [STEP 8] Socket not connected!');
+        console.log('❌ [STEP 4] Socket not connected!');
         addToast('Not connected to server', 'error');
-        e.target.value = '';
         return;
       }
 
-      console.log('✅ [STEP 8] Socket is connected');
-
-      // STEP 9: Prepare request data
-      console.log('📤 [STEP 9] Preparing request data...');
-      const requestData = {
-        to: targetUser.id,
-        from: myId,
-        fileCount: files.length,
-        totalSize: formatBytes(totalBytes),
-        totalBytes: totalBytes
-      };
-
-      console.log('📤 [STEP 9] Request data:', JSON.stringify(requestData));
-
-      // STEP 10: Send request to server
-      console.log('📤 [STEP 10] Sending request to server...');
-      addToast('Sending request to server...', 'info');
-
-      socket.emit('batch-request', requestData);
-
-      console.log('✅ [STEP 11] Request sent successfully! Waiting for response...');
-      addToast(`Request sent to ${targetUser.name}`, 'success');
+      // STEP 5: One request per recipient
+      const totalBytes = files.reduce((acc, f) => acc + f.size, 0);
+      console.log(`📤 [STEP 5] Sending ${files.length} files (${formatBytes(totalBytes)}) to ${targets.length} device(s)`);
+      // Previews are made first, so this can take a few seconds; the toast waits for the emit
+      await requestBatch(files, targets);
+      addToast(targets.length === 1 ? `Request sent to ${targets[0].name}` : `Request sent to ${targets.length} devices`, 'success');
 
-      selectedUserRef.current = null;
+      sendTargetsRef.current = [];
+      setSelectedUserIds(new Set());
 
     } catch (error) {
       console.error('❌ ERROR in handleFileSelect:', error);
@@ -800,9 +2292,10 @@ const App = () => {
   };
 
   // --- HANDLE DRAG & DROP ---
+  // Dropping on a ticked card sends to every ticked device
   const handleDrop = async (e, user) => {
     e.preventDefault();
-    console.log('📁 Dosya sürüklendi');
+    console.log('📁 Files dropped');
 
     const items = Array.from(e.dataTransfer.items);
     const files = [];
@@ -814,21 +2307,23 @@ const App = () => {
     }
 
     if (files.length > 0) {
-      selectedUserRef.current = user;
-      setSelectedFiles(files);
-
+      if (!socket) {
+        addToast('Not connected to server', 'error');
+        return;
+      }
+      const targets = selectedUserIds.has(user.id) ? users.filter(u => selectedUserIds.has(u.id)) : [user];
       const totalBytes = files.reduce((acc, f) => acc + f.size, 0);
 
-      console.log(`📦 ${files.length} dosya, ${formatBytes(totalBytes)}`);
-      addToast(`Sending request to ${user.name}...`, 'info');
-
-      socket.emit('batch-request', {
-        to: user.id,
-        from: myId,
-        fileCount: files.length,
-        totalSize: formatBytes(totalBytes),
-        totalBytes: totalBytes
-      });
+      console.log(`📦 ${files.length} files, ${formatBytes(totalBytes)}`);
+      addToast(targets.length === 1 ? `Sending request to ${user.name}...` : `Sending request to ${targets.length} devices...`, 'info');
+      try {
+        await requestBatch(files, targets);
+        addToast(targets.length === 1 ? `Request sent to ${user.name}` : `Request sent to ${targets.length} devices`, 'success');
+        if (targets.length > 1) setSelectedUserIds(new Set());
+      } catch (error) {
+        console.error('❌ ERROR in handleDrop:', error);
+        addToast('Error: ' + error.message, 'error');
+      }
     }
   };
 
@@ -852,7 +2347,10 @@ const App = () => {
             <motion.div
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
-              className="bg-slate-800 p-8 rounded-3xl border border-slate-700 max-w-md w-full shadow-2xl"
+              className={cn(
+                "bg-slate-800 p-8 rounded-3xl border border-slate-700 w-full shadow-2xl max-h-[90vh] overflow-y-auto",
+                incomingRequest.manifest ? 'max-w-2xl' : 'max-w-md'
+              )}
             >
               <div className="flex items-center gap-4 mb-6 text-blue-400">
                 <Layers size={40} />
@@ -871,8 +2369,94 @@ const App = () => {
                   <span className="text-slate-400">Total Size</span>
                   <span className="text-xl font-bold text-white">{incomingRequest.totalSize}</span>
                 </div>
+                {incomingRequest.manifest && !incomingRequest.manifestTruncated && (
+                  <div className="flex justify-between items-center mt-2">
+                    <span className="text-slate-400">Selected</span>
+                    <span className="text-sm font-bold text-blue-400">
+                      {incomingSelection.size} files · {formatBytes(incomingRequest.manifest.filter(f => incomingSelection.has(f.index)).reduce((acc, f) => acc + f.size, 0))}
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {incomingRequest.excluded && (
+                <div className="flex items-center gap-2 bg-amber-500/10 text-amber-300 text-sm p-3 rounded-xl mb-8 border border-amber-500/20">
+                  <SlidersHorizontal size={16} className="shrink-0" />
+                  {incomingRequest.excluded.length} file(s) left out by your acceptance policy
+                </div>
+              )}
+
+              {incomingRequest.manifest && <RequestPreviews manifest={incomingRequest.manifest} />}
+
+              {incomingRequest.manifest && (
+                <div className="bg-slate-900/50 p-4 rounded-2xl mb-8 border border-slate-700/50">
+                  {incomingRequest.manifestTruncated ? (
+                    <p className="text-sm text-slate-500 mb-3">
+                      File list too long to choose from — showing the first {incomingRequest.manifest.length} files. Accepting takes the whole batch.
+                    </p>
+                  ) : null}
+                  <ManifestTree
+                    manifest={incomingRequest.manifest}
+                    selected={incomingRequest.manifestTruncated ? new Set(incomingRequest.manifest.map(f => f.index)) : incomingSelection}
+                    onChange={incomingRequest.manifestTruncated ? () => { } : setIncomingSelection}
+                  />
+                </div>
+              )}
+
+              <div className="flex items-center gap-3 mb-8 text-sm">
+                <FolderOpen size={18} className="text-slate-400 shrink-0" />
+                {supportsDirectoryPicker() ? (
+                  <>
+                    <span className="text-slate-400 truncate">
+                      Save to <span className="text-white font-medium">{saveFolderName || 'Downloads'}</span>
+                    </span>
+                    {saveFolderName && (
+                      <button onClick={handleClearFolder} title="Use downloads" className="p-1 rounded text-slate-500 hover:text-white">
+                        <X size={14} />
+                      </button>
+                    )}
+                    <button
+                      onClick={handleChooseFolder}
+                      className="ml-auto px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 font-bold transition-colors shrink-0"
+                    >
+                      Choose folder
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-slate-500">
+                    This browser can't save folders. Subfolders are kept in file names, e.g. <span className="font-mono">photos__img.jpg</span>
+                  </span>
+                )}
+              </div>
+
+              <div className="flex items-center gap-3 mb-8 text-sm">
+                <Archive size={18} className="text-slate-400 shrink-0" />
+                {canStreamZip ? (
+                  <>
+                    <span className="text-slate-400">Receive as</span>
+                    <select
+                      value={zipMode}
+                      onChange={(e) => setZipMode(e.target.value)}
+                      className="ml-auto px-3 py-1 rounded-lg bg-slate-700 text-slate-200 font-bold focus:outline-none"
+                    >
+                      <option value="off">Separate files</option>
+                      <option value="store">One ZIP (store)</option>
+                      {supportsDeflate() && <option value="deflate">One ZIP (compressed)</option>}
+                    </select>
+                  </>
+                ) : (
+                  <span className="text-slate-500">ZIP download needs a streaming-capable browser or a chosen folder</span>
+                )}
+              </div>
+
+              <button
+                onClick={handleBlockSender}
+                className="flex items-center gap-1 mb-4 text-xs text-slate-500 hover:text-red-400 transition-colors"
+              >
+                <Ban size={14} />
+                Block this device for the session
+              </button>
+
               <div className="flex gap-4">
                 <button
                   onClick={handleBatchDecline}
@@ -892,6 +2476,46 @@ const App = () => {
         )}
       </AnimatePresence>
 
+      {/* Pairing */}
+      {pairing && (
+        <PairingDialog
+          pairing={pairing}
+          onAccept={handlePairAccept}
+          onConfirm={handlePairConfirm}
+          onCancel={handlePairCancel}
+        />
+      )}
+
+      {/* Trusted Devices */}
+      {showTrusted && (
+        <TrustedDevicesPanel
+          devices={trustedDevices}
+          supported={supportsTrust()}
+          onUpdate={handleUpdateTrusted}
+          onRevoke={handleRevokeTrusted}
+          onClose={() => setShowTrusted(false)}
+        />
+      )}
+
+      {/* Acceptance Policy */}
+      {showPolicy && (
+        <PolicyPanel
+          policy={policy}
+          onUpdate={handleUpdatePolicy}
+          onClose={() => setShowPolicy(false)}
+        />
+      )}
+
+      {/* Transfer History */}
+      {showHistory && (
+        <HistoryPanel
+          entries={history}
+          supported={supportsHistory()}
+          onClear={handleClearHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Header */}
       <header className="flex flex-col md:flex-row justify-between items-center mb-10 gap-4">
         <div className="flex items-center gap-3">
@@ -903,17 +2527,128 @@ const App = () => {
             <span className="text-xs text-slate-500 font-mono tracking-wider uppercase">P2P File Transfer</span>
           </div>
         </div>
-        <div className="flex items-center gap-4 bg-slate-800/50 p-2 pr-6 rounded-full border border-slate-700/50 backdrop-blur-sm">
-          <div className="w-10 h-10 bg-blue-500/10 rounded-full flex items-center justify-center text-blue-400">
-            <Smartphone size={20} />
+        <div className="flex flex-col sm:flex-row items-center gap-4">
+          <div className="flex items-center gap-4 bg-slate-800/50 p-2 pr-6 rounded-full border border-slate-700/50 backdrop-blur-sm">
+            <div className="w-10 h-10 bg-indigo-500/10 rounded-full flex items-center justify-center text-indigo-400">
+              <Hash size={20} />
+            </div>
+            <div className="flex flex-col">
+              <span className="text-xs text-slate-400 uppercase font-bold">Room</span>
+              <span className="text-indigo-400 font-semibold font-mono" title={room ? undefined : network || undefined}>{room || 'Local Network'}</span>
+            </div>
+            {room && (
+              <div className="flex items-center gap-1 ml-2">
+                <button
+                  onClick={handleCopyRoomLink}
+                  title="Copy room link"
+                  className="p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-700 transition-colors"
+                >
+                  <Copy size={16} />
+                </button>
+                <button
+                  onClick={handleLeaveRoom}
+                  title="Leave room"
+                  className="p-2 rounded-full text-slate-400 hover:text-red-400 hover:bg-slate-700 transition-colors"
+                >
+                  <LogOut size={16} />
+                </button>
+              </div>
+            )}
           </div>
-          <div className="flex flex-col">
-            <span className="text-xs text-slate-400 uppercase font-bold">Your Device</span>
-            <span className="text-blue-400 font-semibold truncate max-w-[150px]">{myName || 'Loading...'}</span>
+          <button
+            onClick={() => setShowHistory(true)}
+            title="Transfer history"
+            className="flex items-center gap-2 px-4 py-3 rounded-full bg-slate-800/50 border border-slate-700/50 text-slate-300 hover:text-blue-400 hover:border-blue-500/50 transition-colors text-sm font-semibold"
+          >
+            <History size={18} />
+            <span className="hidden sm:inline">History</span>
+          </button>
+          <button
+            onClick={() => setShowPolicy(true)}
+            title="Acceptance policy"
+            className={cn(
+              'flex items-center gap-2 px-4 py-3 rounded-full bg-slate-800/50 border border-slate-700/50 hover:text-blue-400 hover:border-blue-500/50 transition-colors text-sm font-semibold',
+              isPolicyActive(policy) ? 'text-blue-400' : 'text-slate-300'
+            )}
+          >
+            <SlidersHorizontal size={18} />
+            <span className="hidden sm:inline">Policy</span>
+          </button>
+          <button
+            onClick={() => setShowTrusted(true)}
+            title="Trusted devices"
+            className="flex items-center gap-2 px-4 py-3 rounded-full bg-slate-800/50 border border-slate-700/50 text-slate-300 hover:text-emerald-400 hover:border-emerald-500/50 transition-colors text-sm font-semibold"
+          >
+            <ShieldCheck size={18} />
+            <span className="hidden sm:inline">Trusted ({trustedDevices.length})</span>
+          </button>
+          <div className="flex items-center gap-4 bg-slate-800/50 p-2 pr-6 rounded-full border border-slate-700/50 backdrop-blur-sm">
+            <div className="w-10 h-10 bg-blue-500/10 rounded-full flex items-center justify-center text-blue-400" title={deviceLabel(myDevice)}>
+              <DeviceIcon formFactor={myDevice.formFactor} size={20} />
+            </div>
+            {nameDraft !== null ? (
+              <form onSubmit={handleRenameSubmit} className="flex flex-col">
+                <label htmlFor="rename-input" className="text-xs text-slate-400 uppercase font-bold">Rename (Enter to save)</label>
+                <input
+                  id="rename-input"
+                  autoFocus
+                  value={nameDraft}
+                  maxLength={NAME_MAX_LENGTH}
+                  onChange={(e) => setNameDraft(e.target.value)}
+                  onBlur={() => setNameDraft(null)}
+                  onKeyDown={(e) => e.key === 'Escape' && setNameDraft(null)}
+                  className="w-[150px] bg-slate-900/60 border border-slate-700 rounded px-1 text-blue-400 font-semibold focus:outline-none focus:border-blue-500"
+                />
+              </form>
+            ) : (
+              <button
+                onClick={() => setNameDraft(myName)}
+                disabled={!myName}
+                title="Click to rename"
+                className="flex flex-col text-left"
+              >
+                <span className="text-xs text-slate-400 uppercase font-bold">Your Device</span>
+                <span className="text-blue-400 font-semibold truncate max-w-[150px] hover:underline">{myName || 'Loading...'}</span>
+              </button>
+            )}
           </div>
         </div>
       </header>
 
+      {/* Room Controls */}
+      {!room && (
+        <div className="max-w-7xl mx-auto mb-6">
+          <div className="bg-slate-800/40 rounded-xl p-4 border border-slate-700/50 backdrop-blur-xl flex flex-col sm:flex-row items-center gap-3">
+            <span className="text-sm text-slate-400">Only devices on your network are shown. Create a room or enter a code to link others.</span>
+            <div className="flex items-center gap-2 sm:ml-auto">
+              <button
+                onClick={handleCreateRoom}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 transition-colors text-sm font-bold text-white"
+              >
+                <Plus size={16} />
+                Create Room
+              </button>
+              <form onSubmit={handleJoinRoom} className="flex items-center gap-2">
+                <input
+                  value={roomInput}
+                  onChange={(e) => setRoomInput(e.target.value)}
+                  placeholder="CODE"
+                  maxLength={16}
+                  className="w-28 px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 text-sm font-mono uppercase text-white placeholder-slate-600 focus:outline-none focus:border-indigo-500"
+                />
+                <button
+                  type="submit"
+                  disabled={!roomInput.trim()}
+                  className="px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 transition-colors text-sm font-bold text-slate-200"
+                >
+                  Join
+                </button>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Connection Status */}
       <div className="max-w-7xl mx-auto mb-6">
         <div className="bg-slate-800/40 rounded-xl p-4 border border-slate-700/50 backdrop-blur-xl flex items-center gap-3">
@@ -928,10 +2663,29 @@ const App = () => {
 
         {/* Users */}
         <div className="lg:col-span-2 bg-slate-800/40 rounded-3xl p-8 border border-slate-700/50 backdrop-blur-xl shadow-xl">
-          <h2 className="text-xl font-semibold mb-8 flex items-center gap-3 text-slate-200">
-            <Radar className="w-5 h-5 text-blue-500" />
-            Nearby Devices ({users.length})
-          </h2>
+          <div className="flex items-center gap-3 mb-8">
+            <h2 className="text-xl font-semibold flex items-center gap-3 text-slate-200">
+              <Radar className="w-5 h-5 text-blue-500" />
+              Nearby Devices ({users.length})
+            </h2>
+            {selectedUserIds.size > 0 && (
+              <div className="flex items-center gap-2 ml-auto">
+                <button
+                  onClick={() => setSelectedUserIds(new Set())}
+                  className="px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 transition-colors text-sm font-bold text-slate-200"
+                >
+                  Clear
+                </button>
+                <button
+                  onClick={handleSendToSelected}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 transition-colors text-sm font-bold text-white"
+                >
+                  <Send size={16} />
+                  Send to {selectedUserIds.size} {selectedUserIds.size === 1 ? 'device' : 'devices'}
+                </button>
+              </div>
+            )}
+          </div>
 
           {users.length === 0 ? (
             <div className="flex flex-col items-center justify-center h-80 text-slate-500">
@@ -940,32 +2694,89 @@ const App = () => {
                 <div className="absolute inset-0 border-4 border-t-blue-500 rounded-full animate-spin"></div>
               </div>
               <p className="text-lg font-medium">Scanning network...</p>
-              <p className="text-sm mt-2">Make sure other devices are on the same WiFi</p>
+              <p className="text-sm mt-2">
+                {room ? `Share room code ${room} with your other devices` : 'Make sure other devices are on the same WiFi'}
+              </p>
             </div>
           ) : (
             <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-4 gap-4">
               {users.map(user => (
                 <div
                   key={user.id}
-                  onClick={() => {
-                    selectedUserRef.current = user;
-                    fileInputRef.current?.click();
-                  }}
+                  onClick={() => handleUserClick(user)}
                   onDrop={(e) => handleDrop(e, user)}
                   onDragOver={(e) => e.preventDefault()}
-                  className="aspect-square rounded-2xl border-2 border-slate-700 hover:border-blue-500 hover:bg-blue-500/10 transition-all cursor-pointer flex flex-col items-center justify-center gap-4 group bg-slate-800/50"
+                  className={cn(
+                    "relative aspect-square rounded-2xl border-2 hover:border-blue-500 hover:bg-blue-500/10 transition-all cursor-pointer flex flex-col items-center justify-center gap-4 group bg-slate-800/50",
+                    selectedUserIds.has(user.id) ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700'
+                  )}
                 >
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      toggleUserSelected(user.id);
+                    }}
+                    title={selectedUserIds.has(user.id) ? 'Deselect' : 'Select for a multi-device send'}
+                    className="absolute top-3 right-3 text-slate-500 hover:text-blue-400"
+                  >
+                    {selectedUserIds.has(user.id) ? <CheckSquare size={20} className="text-blue-400" /> : <Square size={20} />}
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      if (trustedDevices.some(t => t.deviceId === user.id)) setShowTrusted(true);
+                      else handlePairWith(user);
+                    }}
+                    title={trustedDevices.some(t => t.deviceId === user.id) ? 'Trusted device' : 'Pair with this device'}
+                    className="absolute top-3 left-3 text-slate-500 hover:text-emerald-400"
+                  >
+                    {trustedDevices.some(t => t.deviceId === user.id) ? <ShieldCheck size={20} className="text-emerald-400" /> : <KeyRound size={20} />}
+                  </button>
                   <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-full flex items-center justify-center shadow-lg group-hover:scale-110 transition-transform">
-                    <span className="text-2xl font-bold text-white">{user.name.charAt(0)}</span>
+                    {user.device
+                      ? <DeviceIcon formFactor={user.device.formFactor} size={28} className="text-white" />
+                      : <span className="text-2xl font-bold text-white">{user.name.charAt(0)}</span>}
                   </div>
                   <div className="text-center px-2 w-full">
                     <div className="font-bold text-slate-200 truncate max-w-[100px] mx-auto" title={user.name}>{user.name}</div>
-                    <div className="text-xs text-slate-500 mt-1 group-hover:text-blue-400">Click to Send</div>
+                    {user.device && (
+                      <div className="flex items-center justify-center gap-1 text-xs text-slate-400 mt-0.5">
+                        <span className="truncate max-w-[110px]" title={deviceLabel(user.device)}>{deviceLabel(user.device)}</span>
+                        {user.device.canSaveFolders && (
+                          <span title="Can save straight to a folder" className="shrink-0"><FolderDown size={12} className="text-slate-500" /></span>
+                        )}
+                      </div>
+                    )}
+                    <div className="text-xs text-slate-500 mt-1 group-hover:text-blue-400">
+                      {selectedUserIds.size > 0 ? (selectedUserIds.has(user.id) ? 'Selected' : 'Click to Select') : 'Click to Send'}
+                    </div>
                   </div>
                 </div>
               ))}
             </div>
           )}
+
+          {blockedDevices.length > 0 && (
+            <div className="mt-8 pt-6 border-t border-slate-700/50">
+              <h3 className="text-sm font-semibold text-slate-400 flex items-center gap-2 mb-3">
+                <Ban size={14} className="text-red-400" />
+                Blocked devices ({blockedDevices.length})
+              </h3>
+              <div className="flex flex-wrap gap-2">
+                {blockedDevices.map(device => (
+                  <div key={device.id} className="flex items-center gap-2 pl-3 pr-1 py-1 rounded-lg bg-slate-900/60 border border-slate-700/50 text-sm text-slate-300">
+                    <span className="truncate max-w-[140px]" title={device.name}>{device.name}</span>
+                    <button
+                      onClick={() => handleUnblockDevice(device.id)}
+                      className="px-2 py-1 rounded-md bg-slate-700 hover:bg-slate-600 text-xs font-bold text-slate-200 transition-colors"
+                    >
+                      Unblock
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Dashboard */}
@@ -975,61 +2786,30 @@ const App = () => {
             Transfer Dashboard
           </h2>
 
-          <div className="flex-1 flex flex-col gap-6">
-            {batchStatus !== 'idle' ? (
-              <div className="bg-slate-900/80 p-6 rounded-2xl border border-blue-500/30 shadow-lg shadow-blue-900/20 flex-1 flex flex-col justify-center">
-
-                <div className="text-center mb-8">
-                  <h3 className="text-2xl font-bold text-white mb-2">
-                    {batchStatus === 'connecting' ? 'Connecting to Peer...' : transferring ? 'Transferring Files...' : 'Connected'}
-                  </h3>
-                  <p className="text-blue-400 font-mono truncate px-4" title={stats.currentFile}>
-                    {batchStatus === 'connecting' ? 'Establishing P2P connection...' : stats.currentFile}
-                  </p>
-                </div>
-
-                {transferring && (
-                  <>
-                    <div className="mb-2 flex justify-between text-sm font-medium text-slate-400">
-                      <span>Progress</span>
-                      <span>{Math.round((stats.processedBytes / (stats.totalBytes || 1)) * 100)}%</span>
-                    </div>
-                    <div className="w-full bg-slate-800 rounded-full h-6 overflow-hidden shadow-inner mb-8 relative">
-                      <motion.div
-                        initial={{ width: 0 }}
-                        animate={{ width: `${(stats.processedBytes / (stats.totalBytes || 1)) * 100}%` }}
-                        className="h-full bg-gradient-to-r from-blue-500 to-indigo-500"
-                      />
-                    </div>
-
-                    <div className="grid grid-cols-2 gap-4">
-                      <div className="bg-slate-800/50 p-4 rounded-xl flex flex-col items-center">
-                        <Zap className="text-yellow-400 mb-2" size={20} />
-                        <div className="text-slate-400 text-xs uppercase tracking-wider">Speed</div>
-                        <div className="text-lg font-bold text-white">{stats.speed}</div>
-                      </div>
-                      <div className="bg-slate-800/50 p-4 rounded-xl flex flex-col items-center">
-                        <Clock className="text-blue-400 mb-2" size={20} />
-                        <div className="text-slate-400 text-xs uppercase tracking-wider">ETA</div>
-                        <div className="text-lg font-bold text-white">{stats.eta}</div>
-                      </div>
-                      <div className="bg-slate-800/50 p-4 rounded-xl flex flex-col items-center">
-                        <Layers className="text-purple-400 mb-2" size={20} />
-                        <div className="text-slate-400 text-xs uppercase tracking-wider">Files</div>
-                        <div className="text-lg font-bold text-white">{stats.processedFiles} / {stats.totalFiles}</div>
-                      </div>
-                      <div className="bg-slate-800/50 p-4 rounded-xl flex flex-col items-center">
-                        <HardDrive className="text-green-400 mb-2" size={20} />
-                        <div className="text-slate-400 text-xs uppercase tracking-wider">Size</div>
-                        <div className="text-sm font-bold text-white truncate w-full text-center" title={`${formatBytes(stats.processedBytes)} / ${formatBytes(stats.totalBytes)}`}>
-                          {formatBytes(stats.processedBytes)} / {formatBytes(stats.totalBytes)}
-                        </div>
-                      </div>
-                    </div>
-                  </>
+          <div className="flex-1 flex flex-col gap-3 min-h-0">
+            {Object.keys(transfers).length > 0 ? (
+              <>
+                {Object.values(transfers).some(isFinishedTransfer) && (
+                  <button
+                    onClick={handleClearFinished}
+                    className="self-end px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs font-bold transition-colors"
+                  >
+                    Clear finished
+                  </button>
                 )}
-
-              </div>
+                <div className="flex-1 overflow-y-auto space-y-3 pr-1">
+                  {Object.values(transfers).map(transfer => (
+                    <TransferCard
+                      key={transfer.id}
+                      transfer={transfer}
+                      onControl={(action) => sendTransferControl(transfer.id, action)}
+                      onResume={() => handleResumeTransfer(transfer.id)}
+                      onDiscard={() => handleDiscardTransfer(transfer.id)}
+                      onDismiss={() => forgetTransfer(transfer.id)}
+                    />
+                  ))}
+                </div>
+              </>
             ) : (
               <div className="flex-1 flex flex-col items-center justify-center text-slate-500 opacity-50 border-2 border-dashed border-slate-700 rounded-2xl">
                 <Layers size={64} className="mb-4" />
@@ -1039,6 +2819,45 @@ const App = () => {
             )}
           </div>
 
+          {receivedFiles.length > 0 && (
+            <div className="mt-6 bg-slate-900/50 rounded-2xl border border-slate-700/50 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm font-semibold text-slate-300">Received Files</span>
+                <div className="flex items-center gap-2">
+                  {receivedFiles.some(f => f.integrity === 'corrupted') && (
+                    <button
+                      onClick={handleRerequestCorrupted}
+                      className="flex items-center gap-1 px-3 py-1 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-300 text-xs font-bold transition-colors"
+                    >
+                      <RefreshCw size={12} />
+                      Re-request corrupted
+                    </button>
+                  )}
+                  <button
+                    onClick={handleClearReceived}
+                    className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs font-bold transition-colors"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
+              <PreviewGallery files={receivedFiles.filter(f => f.previewUrl)} />
+              <ul className="max-h-48 overflow-y-auto space-y-1">
+                {receivedFiles.map(f => (
+                  <li key={`${f.transferId}-${f.index}`} className="flex items-center gap-2 text-sm">
+                    {f.integrity === 'verified' && <ShieldCheck size={16} className="text-green-400 shrink-0" />}
+                    {f.integrity === 'corrupted' && <ShieldAlert size={16} className="text-red-400 shrink-0" />}
+                    {f.integrity === 'pending' && <RefreshCw size={16} className="text-blue-400 shrink-0 animate-spin" />}
+                    {f.integrity === 'unverified' && <FileIcon size={16} className="text-slate-500 shrink-0" />}
+                    {f.integrity === 'skipped' && <SkipForward size={16} className="text-slate-500 shrink-0" />}
+                    <span className="truncate text-slate-300" title={f.path}>{f.path || f.name}</span>
+                    <span className="ml-auto text-xs text-slate-500 shrink-0">{formatBytes(f.size)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <input
             type="file"
             ref={fileInputRef}
@@ -0,0 +1,13 @@
+import React from 'react';
+import { Smartphone, Tablet, Monitor } from 'lucide-react';
+
+const ICONS = { phone: Smartphone, tablet: Tablet, desktop: Monitor };
+
+// --- DEVICE ICON ---
+// Form factor from lib/device.js; unknown values show as a desktop
+const DeviceIcon = ({ formFactor, ...props }) => {
+  const Icon = ICONS[formFactor] || Monitor;
+  return <Icon {...props} />;
+};
+
+export default DeviceIcon;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { History, X, ArrowUpRight, ArrowDownLeft, Download, Trash2 } from 'lucide-react';
+import { formatBytes, formatTime } from '../lib/format';
+import { HISTORY_OUTCOMES, filterHistory, historyToJson, historyToCsv } from '../lib/history';
+
+const OUTCOME_STYLES = {
+  completed: 'text-green-300 bg-green-500/10',
+  cancelled: 'text-slate-300 bg-slate-500/10',
+  declined: 'text-slate-300 bg-slate-500/10',
+  failed: 'text-red-300 bg-red-500/10',
+  interrupted: 'text-amber-300 bg-amber-500/10'
+};
+
+// Save text through a temporary link, like received files without a folder
+const downloadText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- HISTORY ENTRY ---
+const HistoryEntry = ({ entry }) => (
+  <div className="bg-slate-900/60 p-4 rounded-2xl border border-slate-700/50">
+    <div className="flex items-center gap-2 mb-1">
+      {entry.direction === 'send'
+        ? <ArrowUpRight size={16} className="text-blue-400 shrink-0" />
+        : <ArrowDownLeft size={16} className="text-green-400 shrink-0" />}
+      <span className="font-semibold text-slate-200 truncate" title={entry.peerName}>{entry.peerName}</span>
+      <span className={`px-2 py-0.5 rounded-full text-xs font-bold shrink-0 ${OUTCOME_STYLES[entry.outcome] || ''}`}>
+        {entry.outcome}
+      </span>
+      <span className="ml-auto text-xs text-slate-500 shrink-0">{new Date(entry.finishedAt).toLocaleString()}</span>
+    </div>
+    <div className="text-xs text-slate-400 flex flex-wrap gap-x-4">
+      <span>{entry.fileCount} file(s), {formatBytes(entry.totalBytes)}</span>
+      <span>{formatTime(entry.durationMs / 1000)}</span>
+      <span>{formatBytes(entry.averageSpeed)}/s avg</span>
+      {entry.relayed && <span className="text-amber-300">relayed</span>}
+    </div>
+    {entry.message && <div className="text-xs text-red-300 mt-1 truncate" title={entry.message}>{entry.message}</div>}
+    {entry.files.length > 0 && (
+      <details className="mt-2 text-xs text-slate-400">
+        <summary className="cursor-pointer hover:text-slate-200">Files</summary>
+        <ul className="mt-1 space-y-0.5 max-h-40 overflow-y-auto">
+          {entry.files.map((file, i) => (
+            <li key={i} className="flex justify-between gap-2">
+              <span className="truncate" title={file.name}>{file.name}</span>
+              <span className="shrink-0 text-slate-500">{formatBytes(file.size)}</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+  </div>
+);
+
+// --- HISTORY PANEL ---
+const HistoryPanel = ({ entries, supported, onClear, onClose }) => {
+  const [filters, setFilters] = useState({ direction: 'all', outcome: 'all', query: '' });
+  const shown = filterHistory(entries, filters);
+  const setFilter = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-slate-800 p-8 rounded-3xl border border-slate-700 w-full max-w-3xl shadow-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center gap-4 mb-6">
+          <History size={32} className="text-blue-400" />
+          <div>
+            <h3 className="text-2xl font-bold text-white">Transfer History</h3>
+            <p className="text-slate-400 text-sm">Kept in this browser only.</p>
+          </div>
+          <button onClick={onClose} title="Close" className="ml-auto p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-700">
+            <X size={20} />
+          </button>
+        </div>
+
+        {!supported ? (
+          <p className="text-amber-400 text-sm">This browser has no IndexedDB, so history can't be kept.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+              <input
+                value={filters.query}
+                onChange={(e) => setFilter({ query: e.target.value })}
+                placeholder="Search device or file"
+                className="flex-1 min-w-[160px] px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 text-white placeholder-slate-600 focus:outline-none focus:border-blue-500"
+              />
+              <select
+                value={filters.direction}
+                onChange={(e) => setFilter({ direction: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 text-slate-200"
+              >
+                <option value="all">Sent and received</option>
+                <option value="send">Sent</option>
+                <option value="receive">Received</option>
+              </select>
+              <select
+                value={filters.outcome}
+                onChange={(e) => setFilter({ outcome: e.target.value })}
+                className="px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 text-slate-200"
+              >
+                <option value="all">Any outcome</option>
+                {HISTORY_OUTCOMES.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+              </select>
+            </div>
+
+            <div className="flex items-center gap-2 mb-4">
+              <span className="text-xs text-slate-500">{shown.length} of {entries.length}</span>
+              <button
+                onClick={() => downloadText(historyToJson(shown), `locallink-history-${stamp}.json`, 'application/json')}
+                disabled={!shown.length}
+                className="ml-auto flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-xs font-bold transition-colors"
+              >
+                <Download size={12} />
+                JSON
+              </button>
+              <button
+                onClick={() => downloadText(historyToCsv(shown), `locallink-history-${stamp}.csv`, 'text/csv')}
+                disabled={!shown.length}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-xs font-bold transition-colors"
+              >
+                <Download size={12} />
+                CSV
+              </button>
+              <button
+                onClick={() => window.confirm('Delete the whole transfer history?') && onClear()}
+                disabled={!entries.length}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-red-600/20 hover:bg-red-600/30 disabled:opacity-50 text-red-300 text-xs font-bold transition-colors"
+              >
+                <Trash2 size={12} />
+                Clear
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto space-y-3 pr-1 min-h-0">
+              {shown.length === 0 ? (
+                <p className="text-slate-500 text-sm">{entries.length ? 'Nothing matches these filters.' : 'No transfers yet.'}</p>
+              ) : (
+                shown.map(entry => <HistoryEntry key={entry.id} entry={entry} />)
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from 'react';
+import { Folder, File as FileIcon, ChevronRight, ChevronDown, Search } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+
+// --- TREE HELPERS ---
+const buildTree = (manifest) => {
+  const root = { name: '', path: '', folders: new Map(), files: [] };
+  manifest.forEach(entry => {
+    const parts = (entry.path || entry.name).split('/').filter(Boolean);
+    let node = root;
+    parts.slice(0, -1).forEach(part => {
+      if (!node.folders.has(part)) {
+        node.folders.set(part, {
+          name: part,
+          path: node.path ? `${node.path}/${part}` : part,
+          folders: new Map(),
+          files: []
+        });
+      }
+      node = node.folders.get(part);
+    });
+    node.files.push(entry);
+  });
+  return root;
+};
+
+// Keep files whose path matches; a matching folder keeps everything below it
+const filterTree = (node, query) => {
+  if (!query || node.path.toLowerCase().includes(query)) return node;
+  const folders = new Map();
+  node.folders.forEach((child, name) => {
+    const filtered = filterTree(child, query);
+    if (filtered.files.length || filtered.folders.size) folders.set(name, filtered);
+  });
+  const files = node.files.filter(f => (f.path || f.name).toLowerCase().includes(query));
+  return { ...node, folders, files };
+};
+
+const collectIndices = (node) => [
+  ...node.files.map(f => f.index),
+  ...Array.from(node.folders.values()).flatMap(collectIndices)
+];
+
+// --- TREE NODE ---
+const FolderNode = ({ node, depth, selected, onToggle, collapsed, onCollapse }) => {
+  const indices = useMemo(() => collectIndices(node), [node]);
+  const selectedCount = indices.filter(i => selected.has(i)).length;
+  const isCollapsed = collapsed.has(node.path);
+
+  return (
+    <li>
+      <div className="flex items-center gap-2 py-0.5" style={{ paddingLeft: depth * 16 }}>
+        <button onClick={() => onCollapse(node.path)} className="text-slate-500 hover:text-white">
+          {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+        </button>
+        <input
+          type="checkbox"
+          checked={selectedCount === indices.length}
+          ref={el => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < indices.length; }}
+          onChange={(e) => onToggle(indices, e.target.checked)}
+          className="accent-blue-500"
+        />
+        <Folder size={14} className="text-blue-400 shrink-0" />
+        <span className="truncate text-slate-200">{node.name}</span>
+        <span className="ml-auto text-xs text-slate-500 shrink-0">{selectedCount}/{indices.length}</span>
+      </div>
+      {!isCollapsed && (
+        <TreeChildren node={node} depth={depth + 1} selected={selected} onToggle={onToggle} collapsed={collapsed} onCollapse={onCollapse} />
+      )}
+    </li>
+  );
+};
+
+const TreeChildren = ({ node, depth, selected, onToggle, collapsed, onCollapse }) => (
+  <ul>
+    {Array.from(node.folders.values()).map(child => (
+      <FolderNode key={child.path} node={child} depth={depth} selected={selected} onToggle={onToggle} collapsed={collapsed} onCollapse={onCollapse} />
+    ))}
+    {node.files.map(file => (
+      <li key={file.index} className="flex items-center gap-2 py-0.5" style={{ paddingLeft: depth * 16 + 22 }}>
+        <input
+          type="checkbox"
+          checked={selected.has(file.index)}
+          onChange={(e) => onToggle([file.index], e.target.checked)}
+          className="accent-blue-500"
+        />
+        <FileIcon size={14} className="text-slate-400 shrink-0" />
+        <span className="truncate text-slate-300" title={file.type || undefined}>{file.name}</span>
+        <span className="ml-auto text-xs text-slate-500 shrink-0">{formatBytes(file.size)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+// --- MANIFEST TREE ---
+// Searchable folder tree of an incoming batch; `selected` is a Set of file indices
+const ManifestTree = ({ manifest, selected, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const tree = useMemo(() => buildTree(manifest), [manifest]);
+  const visible = useMemo(() => filterTree(tree, query.trim().toLowerCase()), [tree, query]);
+  const visibleIndices = useMemo(() => collectIndices(visible), [visible]);
+
+  const handleToggle = (indices, checked) => {
+    const next = new Set(selected);
+    indices.forEach(i => (checked ? next.add(i) : next.delete(i)));
+    onChange(next);
+  };
+
+  const handleCollapse = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3">
+        <div className="relative flex-1">
+          <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search files..."
+            className="w-full pl-8 pr-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 text-sm text-white placeholder-slate-600 focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <button
+          onClick={() => handleToggle(visibleIndices, true)}
+          className="px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs font-bold text-slate-200 transition-colors"
+        >
+          All
+        </button>
+        <button
+          onClick={() => handleToggle(visibleIndices, false)}
+          className="px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs font-bold text-slate-200 transition-colors"
+        >
+          None
+        </button>
+      </div>
+      <div className="max-h-64 overflow-y-auto text-sm pr-1">
+        {visibleIndices.length === 0 ? (
+          <p className="text-slate-500 text-center py-6">No matching files</p>
+        ) : (
+          <TreeChildren node={visible} depth={0} selected={selected} onToggle={handleToggle} collapsed={collapsed} onCollapse={handleCollapse} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManifestTree;
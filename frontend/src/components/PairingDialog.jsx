@@ -0,0 +1,67 @@
+import React from 'react';
+import { KeyRound, Loader2 } from 'lucide-react';
+
+// --- PAIRING DIALOG ---
+// pairing: { role: 'initiator' | 'responder', peerName, status: 'incoming' | 'waiting' | 'confirm', code }
+const PairingDialog = ({ pairing, onAccept, onConfirm, onCancel }) => (
+  <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 backdrop-blur-sm">
+    <div className="bg-slate-800 p-8 rounded-3xl border border-slate-700 w-full max-w-md shadow-2xl">
+      <div className="flex items-center gap-4 mb-6 text-emerald-400">
+        <KeyRound size={40} />
+        <div>
+          <h3 className="text-2xl font-bold text-white">Pair Devices</h3>
+          <p className="text-slate-400 text-sm">{pairing.role === 'initiator' ? 'With' : 'From'} {pairing.peerName}</p>
+        </div>
+      </div>
+
+      {pairing.status === 'incoming' && (
+        <p className="text-slate-300 mb-8">
+          {pairing.peerName} wants to pair with this device. Once paired, their transfers can be accepted automatically.
+        </p>
+      )}
+
+      {pairing.status === 'waiting' && (
+        <div className="flex items-center gap-3 text-slate-300 mb-8">
+          <Loader2 size={20} className="animate-spin text-emerald-400" />
+          Waiting for {pairing.peerName} to answer...
+        </div>
+      )}
+
+      {pairing.status === 'confirm' && (
+        <>
+          <p className="text-slate-300 mb-4">Check that {pairing.peerName} shows the same code:</p>
+          <div className="bg-slate-900/50 py-6 rounded-2xl mb-8 border border-slate-700/50 text-center font-mono text-4xl font-bold tracking-widest text-white">
+            {pairing.code}
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-4">
+        <button
+          onClick={onCancel}
+          className="flex-1 py-4 rounded-xl bg-slate-700 hover:bg-slate-600 transition-colors font-bold text-slate-200"
+        >
+          {pairing.status === 'incoming' ? 'Decline' : 'Cancel'}
+        </button>
+        {pairing.status === 'incoming' && (
+          <button
+            onClick={onAccept}
+            className="flex-1 py-4 rounded-xl bg-emerald-600 hover:bg-emerald-500 transition-colors font-bold text-white"
+          >
+            Show code
+          </button>
+        )}
+        {pairing.status === 'confirm' && (
+          <button
+            onClick={onConfirm}
+            className="flex-1 py-4 rounded-xl bg-emerald-600 hover:bg-emerald-500 transition-colors font-bold text-white"
+          >
+            Codes match
+          </button>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+export default PairingDialog;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { SlidersHorizontal, X, RotateCcw } from 'lucide-react';
+import { DEFAULT_POLICY } from '../lib/policy';
+
+const MB = 1024 * 1024;
+
+const parseTypes = (text) => text.split(',').map(t => t.trim()).filter(Boolean);
+
+const inputClass = 'bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-slate-200';
+
+// --- POLICY PANEL ---
+// Every change is saved right away, like trusted device rules
+const PolicyPanel = ({ policy, onUpdate, onClose }) => {
+  const setPolicy = (patch) => onUpdate({ ...policy, ...patch });
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-slate-800 p-8 rounded-3xl border border-slate-700 w-full max-w-2xl shadow-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center gap-4 mb-6">
+          <SlidersHorizontal size={32} className="text-blue-400" />
+          <div>
+            <h3 className="text-2xl font-bold text-white">Acceptance Policy</h3>
+            <p className="text-slate-400 text-sm">Requests that break it are declined automatically, and the sender is told why.</p>
+          </div>
+          <button onClick={onClose} title="Close" className="ml-auto p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-700">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Keyed on the saved lists so a reset refreshes the uncontrolled text fields */}
+        <div key={`${policy.allowedTypes.join(',')}|${policy.blockedTypes.join(',')}`} className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-xs text-slate-400">
+          <label className="flex flex-col gap-1">
+            Max batch size (MB, 0 = no limit)
+            <input
+              type="number"
+              min="0"
+              value={Math.round(policy.maxBytes / MB)}
+              onChange={(e) => setPolicy({ maxBytes: Math.max(0, Number(e.target.value) || 0) * MB })}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            Max file count (0 = no limit)
+            <input
+              type="number"
+              min="0"
+              value={policy.maxFiles}
+              onChange={(e) => setPolicy({ maxFiles: Math.max(0, Math.floor(Number(e.target.value)) || 0) })}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            Allowed types (e.g. .jpg, image/*; empty = any)
+            <input
+              type="text"
+              defaultValue={policy.allowedTypes.join(', ')}
+              onBlur={(e) => setPolicy({ allowedTypes: parseTypes(e.target.value) })}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            Blocked types (e.g. .exe, .bat, application/x-msdownload)
+            <input
+              type="text"
+              defaultValue={policy.blockedTypes.join(', ')}
+              onBlur={(e) => setPolicy({ blockedTypes: parseTypes(e.target.value) })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <fieldset className="mt-6 text-sm text-slate-300 space-y-2">
+          <legend className="text-xs text-slate-400 mb-2">When some files have a type that isn't accepted</legend>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="policy-type-mismatch"
+              checked={policy.onTypeMismatch !== 'exclude'}
+              onChange={() => setPolicy({ onTypeMismatch: 'decline' })}
+              className="accent-blue-500"
+            />
+            Decline the whole request
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="policy-type-mismatch"
+              checked={policy.onTypeMismatch === 'exclude'}
+              onChange={() => setPolicy({ onTypeMismatch: 'exclude' })}
+              className="accent-blue-500"
+            />
+            Leave those files out and receive the rest
+          </label>
+        </fieldset>
+
+        <p className="mt-6 text-xs text-slate-500">
+          Type rules need the sender's file list; requests too large to list in full are declined while any type rule is set.
+        </p>
+
+        <button
+          onClick={() => onUpdate(DEFAULT_POLICY)}
+          className="mt-4 flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs font-bold transition-colors"
+        >
+          <RotateCcw size={12} />
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PolicyPanel;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { ExternalLink } from 'lucide-react';
+
+// --- GALLERY ITEM ---
+const GalleryItem = ({ file }) => (
+  <div className="relative group aspect-square rounded-xl overflow-hidden border border-slate-700/50 bg-slate-950/60" title={file.path || file.name}>
+    {file.previewType.startsWith('video/') ? (
+      <video src={file.previewUrl} controls muted preload="metadata" className="w-full h-full object-cover" />
+    ) : (
+      <img src={file.previewUrl} alt={file.name} loading="lazy" className="w-full h-full object-cover" />
+    )}
+    <button
+      onClick={() => window.open(file.previewUrl, '_blank', 'noopener')}
+      title="Open"
+      className="absolute top-1 right-1 p-1.5 rounded-lg bg-black/60 text-white opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+    >
+      <ExternalLink size={14} />
+    </button>
+  </div>
+);
+
+// --- PREVIEW GALLERY ---
+// Received images and videos with an object URL (see createGalleryPreview in App.jsx)
+const PreviewGallery = ({ files }) => {
+  if (!files.length) return null;
+
+  return (
+    <div className="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-6 gap-2 mb-3 max-h-72 overflow-y-auto">
+      {files.map(file => <GalleryItem key={`${file.transferId}-${file.index}`} file={file} />)}
+    </div>
+  );
+};
+
+export default PreviewGallery;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Play } from 'lucide-react';
+import { isValidPreview } from '../lib/previews';
+
+// --- PREVIEW TILE ---
+// Thumbnails are data URLs checked by isValidPreview; text is rendered as text, never as markup
+const PreviewTile = ({ entry }) => {
+  const { kind, data } = entry.preview;
+  const label = entry.path || entry.name;
+
+  if (kind === 'text') {
+    return (
+      <div className="col-span-2 bg-slate-950/60 rounded-xl border border-slate-700/50 p-2 min-w-0" title={label}>
+        <p className="text-xs text-slate-400 truncate mb-1">{entry.name}</p>
+        <pre className="text-[11px] leading-snug text-slate-300 whitespace-pre-wrap break-words max-h-24 overflow-hidden">{data}</pre>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative aspect-square rounded-xl overflow-hidden border border-slate-700/50 bg-slate-950/60" title={label}>
+      <img src={data} alt={entry.name} className="w-full h-full object-cover" />
+      {kind === 'video' && (
+        <span className="absolute inset-0 flex items-center justify-center">
+          <span className="p-1.5 rounded-full bg-black/60 text-white"><Play size={14} /></span>
+        </span>
+      )}
+    </div>
+  );
+};
+
+// --- REQUEST PREVIEWS ---
+// What the sender attached to the manifest; renders nothing when there are no previews
+const RequestPreviews = ({ manifest }) => {
+  const entries = manifest.filter(entry => isValidPreview(entry.preview));
+  if (!entries.length) return null;
+
+  return (
+    <div className="bg-slate-900/50 p-4 rounded-2xl mb-8 border border-slate-700/50">
+      <p className="text-sm text-slate-400 mb-3">
+        Preview{entries.length < manifest.length ? ` · ${entries.length} of ${manifest.length} files` : ''}
+      </p>
+      <div className="grid grid-cols-4 gap-2 max-h-64 overflow-y-auto">
+        {entries.map(entry => <PreviewTile key={entry.index} entry={entry} />)}
+      </div>
+    </div>
+  );
+};
+
+export default RequestPreviews;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { ArrowUpRight, ArrowDownLeft, Zap, Clock, Layers, Pause, Play, SkipForward, Ban, X, RefreshCw, Server } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+import { isFinishedTransfer, isActiveTransfer } from '../lib/transfers';
+
+const STATUS_LABELS = {
+  waiting: 'Waiting for answer',
+  declined: 'Declined',
+  connecting: 'Connecting',
+  connected: 'Connected',
+  queued: 'Queued',
+  transferring: 'Transferring',
+  interrupted: 'Interrupted',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  failed: 'Failed'
+};
+
+const STATUS_COLORS = {
+  declined: 'text-red-400 bg-red-500/10',
+  failed: 'text-red-400 bg-red-500/10',
+  interrupted: 'text-amber-400 bg-amber-500/10',
+  completed: 'text-green-400 bg-green-500/10',
+  cancelled: 'text-slate-400 bg-slate-500/10'
+};
+
+// --- TRANSFER CARD ---
+// One dashboard row: a batch going to (or coming from) a single device
+const TransferCard = ({ transfer, onControl, onResume, onDiscard, onDismiss }) => {
+  const percent = Math.round((transfer.processedBytes / (transfer.totalBytes || 1)) * 100);
+  const label = transfer.paused ? 'Paused' : STATUS_LABELS[transfer.status] || transfer.status;
+  const isFinished = isFinishedTransfer(transfer);
+  const isActive = isActiveTransfer(transfer);
+
+  return (
+    <div className="bg-slate-900/80 p-4 rounded-2xl border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-2">
+        {transfer.direction === 'send'
+          ? <ArrowUpRight size={16} className="text-blue-400 shrink-0" />
+          : <ArrowDownLeft size={16} className="text-green-400 shrink-0" />}
+        <span className="font-semibold text-slate-200 truncate" title={transfer.peerName}>{transfer.peerName}</span>
+        {transfer.relayed && (
+          <span
+            title="No direct connection: data goes through the server"
+            className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-bold text-amber-300 bg-amber-500/10 shrink-0"
+          >
+            <Server size={12} />
+            Relayed
+          </span>
+        )}
+        <span className={`ml-auto px-2 py-0.5 rounded-full text-xs font-bold shrink-0 ${STATUS_COLORS[transfer.status] || 'text-blue-400 bg-blue-500/10'}`}>
+          {label}
+        </span>
+        {isFinished && (
+          <button onClick={onDismiss} title="Dismiss" className="p-1 rounded text-slate-500 hover:text-white">
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-blue-400 font-mono truncate mb-2" title={transfer.currentFile}>{transfer.currentFile}</p>
+
+      <div className="w-full bg-slate-800 rounded-full h-2 overflow-hidden mb-2">
+        <div
+          className="h-full bg-gradient-to-r from-blue-500 to-indigo-500 transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      <div className="flex items-center gap-3 text-xs text-slate-400">
+        <span>{percent}%</span>
+        <span className="flex items-center gap-1"><Zap size={12} className="text-yellow-400" />{transfer.speed}
+          {transfer.lanes > 1 && <span className="text-slate-500" title="Parallel data channels">×{transfer.lanes}</span>}
+        </span>
+        <span className="flex items-center gap-1"><Clock size={12} className="text-blue-400" />{transfer.eta}</span>
+        <span className="flex items-center gap-1"><Layers size={12} className="text-purple-400" />{transfer.processedFiles}/{transfer.totalFiles}</span>
+        <span className="ml-auto truncate" title={`${formatBytes(transfer.processedBytes)} / ${formatBytes(transfer.totalBytes)}`}>
+          {formatBytes(transfer.processedBytes)} / {formatBytes(transfer.totalBytes)}
+        </span>
+      </div>
+
+      {isActive && (
+        <div className="grid grid-cols-3 gap-2 mt-3">
+          <button
+            onClick={() => onControl(transfer.paused ? 'resume' : 'pause')}
+            disabled={transfer.status !== 'transferring'}
+            className="flex items-center justify-center gap-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 transition-colors text-xs font-bold text-slate-200"
+          >
+            {transfer.paused ? <Play size={14} /> : <Pause size={14} />}
+            {transfer.paused ? 'Resume' : 'Pause'}
+          </button>
+          <button
+            onClick={() => onControl('skip')}
+            disabled={transfer.status !== 'transferring'}
+            className="flex items-center justify-center gap-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 disabled:opacity-50 transition-colors text-xs font-bold text-slate-200"
+          >
+            <SkipForward size={14} />
+            Skip file
+          </button>
+          <button
+            onClick={() => onControl('cancel')}
+            className="flex items-center justify-center gap-1 py-2 rounded-lg bg-red-600/20 hover:bg-red-600/30 transition-colors text-xs font-bold text-red-300"
+          >
+            <Ban size={14} />
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {transfer.status === 'interrupted' && (
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={onDiscard}
+            className="flex-1 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 transition-colors text-xs font-bold text-slate-200"
+          >
+            Discard
+          </button>
+          {transfer.direction === 'send' ? (
+            <button
+              onClick={onResume}
+              className="flex-1 flex items-center justify-center gap-1 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 transition-colors text-xs font-bold text-white"
+            >
+              <RefreshCw size={14} />
+              Resume
+            </button>
+          ) : (
+            <span className="flex-1 text-xs text-slate-500 self-center text-center">Partial files kept. Waiting for the sender to resume...</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransferCard;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { ShieldCheck, X, Trash2 } from 'lucide-react';
+
+const MB = 1024 * 1024;
+
+// --- TRUSTED DEVICE ROW ---
+// Rules are edited in place; every change is saved right away
+const TrustedDeviceRow = ({ device, onUpdate, onRevoke }) => {
+  const setRules = (patch) => onUpdate({ ...device, rules: { ...device.rules, ...patch } });
+
+  return (
+    <div className="bg-slate-900/60 p-4 rounded-2xl border border-slate-700/50">
+      <div className="flex items-center gap-2 mb-3">
+        <ShieldCheck size={16} className="text-emerald-400 shrink-0" />
+        <span className="font-semibold text-slate-200 truncate" title={device.name}>{device.name}</span>
+        <span className="text-xs text-slate-500 font-mono truncate" title={`Key ${device.keyId}`}>{device.keyId.slice(0, 8)}</span>
+        <button
+          onClick={() => onRevoke(device.keyId)}
+          className="ml-auto flex items-center gap-1 px-2 py-1 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-300 text-xs font-bold transition-colors"
+        >
+          <Trash2 size={12} />
+          Revoke
+        </button>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-slate-300 mb-2">
+        <input
+          type="checkbox"
+          checked={device.rules.autoAccept}
+          onChange={(e) => setRules({ autoAccept: e.target.checked })}
+          className="accent-emerald-500"
+        />
+        Accept their transfers automatically
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs text-slate-400">
+        <label className="flex flex-col gap-1">
+          Max batch size (MB, 0 = no limit)
+          <input
+            type="number"
+            min="0"
+            value={Math.round(device.rules.maxBytes / MB)}
+            disabled={!device.rules.autoAccept}
+            onChange={(e) => setRules({ maxBytes: Math.max(0, Number(e.target.value) || 0) * MB })}
+            className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-slate-200 disabled:opacity-50"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Allowed types (e.g. .jpg, image/*; empty = any)
+          <input
+            type="text"
+            defaultValue={device.rules.allowedTypes.join(', ')}
+            disabled={!device.rules.autoAccept}
+            onBlur={(e) => setRules({ allowedTypes: e.target.value.split(',').map(t => t.trim()).filter(Boolean) })}
+            className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-slate-200 disabled:opacity-50"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+// --- TRUSTED DEVICES PANEL ---
+const TrustedDevicesPanel = ({ devices, supported, onUpdate, onRevoke, onClose }) => (
+  <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 backdrop-blur-sm">
+    <div className="bg-slate-800 p-8 rounded-3xl border border-slate-700 w-full max-w-2xl shadow-2xl max-h-[90vh] overflow-y-auto">
+      <div className="flex items-center gap-4 mb-6">
+        <ShieldCheck size={32} className="text-emerald-400" />
+        <div>
+          <h3 className="text-2xl font-bold text-white">Trusted Devices</h3>
+          <p className="text-slate-400 text-sm">Pair from a device card; trust is tied to that device's key, not its name.</p>
+        </div>
+        <button onClick={onClose} title="Close" className="ml-auto p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {!supported ? (
+        <p className="text-amber-400 text-sm">Pairing needs a secure context: open LocalLink over HTTPS or on localhost.</p>
+      ) : devices.length === 0 ? (
+        <p className="text-slate-500 text-sm">No trusted devices yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {devices.map(device => (
+            <TrustedDeviceRow key={device.keyId} device={device} onUpdate={onUpdate} onRevoke={onRevoke} />
+          ))}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default TrustedDevicesPanel;
@@ -0,0 +1,49 @@
+// Promise wrapper around the app's IndexedDB database.
+// Stores are created in `upgrade`; bump DB_VERSION when adding one.
+
+const DB_NAME = 'locallink';
+const DB_VERSION = 2;
+
+const upgrade = (db) => {
+  // This device's signing key pair (one record, id 'self')
+  if (!db.objectStoreNames.contains('identity')) db.createObjectStore('identity', { keyPath: 'id' });
+  // Devices paired with this one, by public key fingerprint
+  if (!db.objectStoreNames.contains('trusted')) db.createObjectStore('trusted', { keyPath: 'keyId' });
+  // Finished transfers, by transferId (see lib/history.js)
+  if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: 'id' });
+};
+
+let dbPromise = null;
+
+export const supportsIndexedDb = () => typeof indexedDB !== 'undefined';
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `work(store)` in a transaction and resolve with the result of the request it returns
+const withStore = async (storeName, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const dbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+export const dbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const dbPut = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+export const dbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+export const dbClear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
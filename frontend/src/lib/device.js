@@ -0,0 +1,48 @@
+// What this device is, sent with `join` so other devices can tell it apart on their cards.
+// Detection is a best guess from the user agent; nothing here is trusted for anything.
+
+export const FORM_FACTORS = ['phone', 'tablet', 'desktop'];
+
+const detectOs = (ua, platform) => {
+  if (/Android/i.test(ua)) return 'Android';
+  if (/iPhone|iPod/.test(ua)) return 'iOS';
+  // iPadOS reports itself as a Mac; touch points give it away
+  if (/iPad/.test(ua) || (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1)) return 'iPadOS';
+  if (/CrOS/.test(ua)) return 'ChromeOS';
+  if (/Windows/.test(ua) || /^Win/.test(platform)) return 'Windows';
+  if (/Mac OS X|Macintosh/.test(ua) || /^Mac/.test(platform)) return 'macOS';
+  if (/Linux/.test(ua)) return 'Linux';
+  return 'Unknown';
+};
+
+// Order matters: Edge and Opera also claim to be Chrome, and every iOS browser claims Safari
+const detectBrowser = (ua) => {
+  if (/Edg(e|A|iOS)?\//.test(ua)) return 'Edge';
+  if (/OPR\/|Opera/.test(ua)) return 'Opera';
+  if (/SamsungBrowser\//.test(ua)) return 'Samsung Internet';
+  if (/Firefox\/|FxiOS\//.test(ua)) return 'Firefox';
+  if (/Chrome\/|CriOS\//.test(ua)) return 'Chrome';
+  if (/Safari\//.test(ua)) return 'Safari';
+  return 'Browser';
+};
+
+const detectFormFactor = (ua, os) => {
+  if (os === 'iPadOS' || /Tablet/i.test(ua) || (os === 'Android' && !/Mobile/.test(ua))) return 'tablet';
+  if (os === 'iOS' || /Mobi/i.test(ua)) return 'phone';
+  return 'desktop';
+};
+
+// { formFactor, os, browser, canSaveFolders }
+export const describeDevice = () => {
+  const ua = navigator.userAgent || '';
+  const os = detectOs(ua, navigator.platform || '');
+  return {
+    formFactor: detectFormFactor(ua, os),
+    os,
+    browser: detectBrowser(ua),
+    canSaveFolders: typeof window.showDirectoryPicker === 'function'
+  };
+};
+
+// "macOS · Chrome" for a card, empty for clients that sent nothing
+export const deviceLabel = (device) => (device ? [device.os, device.browser].filter(Boolean).join(' · ') : '');
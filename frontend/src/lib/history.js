@@ -0,0 +1,90 @@
+// Transfer history, kept in IndexedDB: one entry per batch and peer, written when its
+// dashboard row ends (or is dismissed while still resumable).
+
+import { supportsIndexedDb, dbGetAll, dbPut, dbDelete, dbClear } from './db';
+
+const HISTORY_LIMIT = 1000; // Oldest entries past this are dropped
+
+export const HISTORY_OUTCOMES = ['completed', 'cancelled', 'declined', 'failed', 'interrupted'];
+
+export const supportsHistory = supportsIndexedDb;
+
+// Entry for a dashboard row; `files` are { name, size } and the times are epoch ms
+export const buildHistoryEntry = (row, files, { startedAt, finishedAt }) => {
+  const durationMs = Math.max(0, finishedAt - startedAt);
+  const bytes = row.processedBytes || 0;
+  return {
+    id: row.id,
+    direction: row.direction,
+    peerId: row.peerId,
+    peerName: row.peerName,
+    outcome: row.status,
+    message: row.status === 'failed' ? row.currentFile : row.declineReason || null,
+    relayed: !!row.relayed,
+    fileCount: row.totalFiles || files.length,
+    files,
+    totalBytes: row.totalBytes || 0,
+    bytes,
+    startedAt,
+    finishedAt,
+    durationMs,
+    averageSpeed: durationMs > 0 ? Math.round(bytes / (durationMs / 1000)) : 0 // bytes/s
+  };
+};
+
+// Newest first
+export const listHistory = async () => {
+  const entries = await dbGetAll('history');
+  return entries.sort((a, b) => b.finishedAt - a.finishedAt);
+};
+
+export const addHistory = async (entry) => {
+  await dbPut('history', entry);
+  const entries = await listHistory();
+  await Promise.all(entries.slice(HISTORY_LIMIT).map(old => dbDelete('history', old.id)));
+};
+
+export const clearHistory = () => dbClear('history');
+
+// direction: 'all' | 'send' | 'receive'; outcome: 'all' or one of HISTORY_OUTCOMES;
+// query matches the peer name or any file name
+export const filterHistory = (entries, { direction = 'all', outcome = 'all', query = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries.filter(entry =>
+    (direction === 'all' || entry.direction === direction) &&
+    (outcome === 'all' || entry.outcome === outcome) &&
+    (!needle ||
+      entry.peerName.toLowerCase().includes(needle) ||
+      entry.files.some(file => file.name.toLowerCase().includes(needle)))
+  );
+};
+
+// --- EXPORT ---
+export const historyToJson = (entries) => JSON.stringify(entries, null, 2);
+
+const CSV_COLUMNS = [
+  ['finished', entry => new Date(entry.finishedAt).toISOString()],
+  ['direction', entry => entry.direction],
+  ['peer', entry => entry.peerName],
+  ['outcome', entry => entry.outcome],
+  ['files', entry => entry.fileCount],
+  ['file_names', entry => entry.files.map(file => file.name).join('; ')],
+  ['total_bytes', entry => entry.totalBytes],
+  ['transferred_bytes', entry => entry.bytes],
+  ['duration_seconds', entry => (entry.durationMs / 1000).toFixed(1)],
+  ['average_bytes_per_second', entry => entry.averageSpeed],
+  ['relayed', entry => entry.relayed],
+  ['message', entry => entry.message || '']
+];
+
+// Quoted when needed; a leading = + - @ is escaped so spreadsheets don't run it as a formula
+const csvCell = (value) => {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyToCsv = (entries) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(','))
+].join('\r\n');
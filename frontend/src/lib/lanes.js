@@ -0,0 +1,70 @@
+// Extra data channels ("lanes") next to SimplePeer's own channel, used to stripe file data.
+// Lanes are negotiated out of band: both ends create them with the same ids, so no
+// 'datachannel' event fires and SimplePeer keeps its (control) channel to itself.
+
+const LANE_ID_BASE = 100;
+const LANE_LOW_WATER = 256 * 1024;
+const LANE_OPEN_TIMEOUT = 5000;
+
+// Create `count` lanes on an RTCPeerConnection; `onMessage` receives each lane's data
+export const openLanes = (pc, count, onMessage) => {
+  const lanes = [];
+  if (!pc || typeof pc.createDataChannel !== 'function') return lanes;
+  for (let i = 0; i < count; i++) {
+    try {
+      const channel = pc.createDataChannel(`locallink-lane-${i}`, { negotiated: true, id: LANE_ID_BASE + i, ordered: true });
+      channel.binaryType = 'arraybuffer';
+      channel.bufferedAmountLowThreshold = LANE_LOW_WATER;
+      if (onMessage) channel.onmessage = (event) => onMessage(event.data);
+      lanes.push(channel);
+    } catch (err) {
+      console.warn('⚠️ Could not open data lane:', err);
+      break;
+    }
+  }
+  return lanes;
+};
+
+// Resolves with the lanes that opened in time (possibly none)
+export const whenLanesOpen = (lanes, timeout = LANE_OPEN_TIMEOUT) => Promise.all(lanes.map(channel => new Promise((resolve) => {
+  if (channel.readyState === 'open') {
+    resolve(channel);
+    return;
+  }
+  const timer = setTimeout(() => resolve(null), timeout);
+  channel.addEventListener('open', () => {
+    clearTimeout(timer);
+    resolve(channel);
+  }, { once: true });
+  channel.addEventListener('close', () => {
+    clearTimeout(timer);
+    resolve(null);
+  }, { once: true });
+}))).then(opened => opened.filter(Boolean));
+
+// Wait for 'bufferedamountlow' (or close) instead of polling bufferedAmount
+export const waitForDrain = (channel) => new Promise((resolve) => {
+  if (channel.readyState !== 'open' || channel.bufferedAmount <= channel.bufferedAmountLowThreshold) {
+    resolve();
+    return;
+  }
+  const done = () => {
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
+
+// Round-robin sender over several channels; each one is held back once it has `highWater` bytes queued
+export const createStriper = (channels, { highWater = 1024 * 1024 } = {}) => {
+  let next = 0;
+  return async (frame) => {
+    const channel = channels[next];
+    next = (next + 1) % channels.length;
+    if (channel.bufferedAmount > highWater) await waitForDrain(channel);
+    if (channel.readyState !== 'open') throw new Error('Data channel closed');
+    channel.send(frame);
+  };
+};
@@ -0,0 +1,49 @@
+// Concurrency limiter.
+// At most `limit` tasks run at once; the rest wait in FIFO order for a free slot.
+// A task can hand its slot back while it waits on something else (see `suspend`).
+
+export const createLimiter = (limit) => {
+  let active = 0;
+  const waiting = []; // Resolvers of tasks waiting for a slot
+
+  const next = () => {
+    while (active < limit && waiting.length) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  // `first` queues ahead of the tasks that haven't started yet
+  const acquire = (first = false) => new Promise((resolve) => {
+    if (first) waiting.unshift(resolve);
+    else waiting.push(resolve);
+    next();
+  });
+
+  const release = () => {
+    active--;
+    next();
+  };
+
+  // Resolves with the task's result once it has had its turn.
+  // The task gets `suspend(wait)`: its slot goes to the next task until `wait()` settles,
+  // then it takes the first slot that frees up.
+  const run = async (task) => {
+    await acquire();
+    const suspend = async (wait) => {
+      release();
+      try {
+        return await wait();
+      } finally {
+        await acquire(true);
+      }
+    };
+    try {
+      return await task({ suspend });
+    } finally {
+      release();
+    }
+  };
+
+  return { run, activeCount: () => active, pendingCount: () => waiting.length };
+};
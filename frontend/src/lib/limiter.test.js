@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { createLimiter } from './limiter';
+
+// A promise plus the function that resolves it
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createLimiter', () => {
+  it('runs at most `limit` tasks at once, in FIFO order', async () => {
+    const limiter = createLimiter(2);
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const runs = gates.map((gate, i) => limiter.run(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await tick();
+    expect(started).toEqual([0, 1]);
+    expect(limiter.pendingCount()).toBe(1);
+
+    gates[0].resolve();
+    await tick();
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+    expect(limiter.activeCount()).toBe(0);
+  });
+
+  it('gives a suspended task\'s slot to the next one, and takes it back first', async () => {
+    const limiter = createLimiter(1);
+    const paused = deferred();
+    const order = [];
+    const blockers = [deferred(), deferred()];
+
+    const first = limiter.run(async ({ suspend }) => {
+      order.push('first');
+      await suspend(() => paused.promise);
+      order.push('first resumed');
+    });
+    const others = blockers.map((gate, i) => limiter.run(async () => {
+      order.push(`other ${i}`);
+      await gate.promise;
+    }));
+
+    await tick();
+    expect(order).toEqual(['first', 'other 0']);
+
+    paused.resolve();
+    await tick();
+    expect(order).toEqual(['first', 'other 0']); // Still busy: waits for the slot
+
+    // The freed slot goes to the suspended task before the one still queued
+    blockers[0].resolve();
+    await first;
+    expect(order).toEqual(['first', 'other 0', 'first resumed', 'other 1']);
+
+    blockers[1].resolve();
+    await Promise.all(others);
+  });
+
+  it('frees the slot when a task throws', async () => {
+    const limiter = createLimiter(1);
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await limiter.run(async () => 'next')).toBe('next');
+    expect(limiter.activeCount()).toBe(0);
+  });
+});
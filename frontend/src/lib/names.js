@@ -0,0 +1,14 @@
+// Display name rules, mirrored from backend/names.js so the rename form can say what's wrong
+// before sending. The server has the final word and may add a " (2)" suffix on a collision.
+
+export const NAME_MAX_LENGTH = 32;
+const NAME_PATTERN = /^[\p{L}\p{N} .'()_-]+$/u;
+
+// { ok: true, name } with whitespace tidied, or { ok: false, error }
+export const validateName = (input) => {
+  const name = input.trim().replace(/\s+/g, ' ');
+  if (!name) return { ok: false, error: 'Enter a name' };
+  if (name.length > NAME_MAX_LENGTH) return { ok: false, error: `Keep it under ${NAME_MAX_LENGTH + 1} characters` };
+  if (!NAME_PATTERN.test(name)) return { ok: false, error: "Use letters, numbers, spaces or . ' ( ) _ -" };
+  return { ok: true, name };
+};
@@ -0,0 +1,73 @@
+// Relative-path handling for received files.
+// Paths come from the remote peer, so they are treated as untrusted: anything that
+// could escape the chosen folder collapses to the bare file name.
+
+const FORBIDDEN_CHARS = /[<>:"/\\|?*]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// Make one path segment safe to use as a file or directory name
+export const sanitizeSegment = (segment) => {
+  const cleaned = Array.from(String(segment), ch => ch.charCodeAt(0) < 32 ? '_' : ch)
+    .join('')
+    .replace(FORBIDDEN_CHARS, '_')
+    .replace(/[. ]+$/, '')
+    .trim();
+  if (!cleaned) return null;
+  return RESERVED_NAMES.test(cleaned) ? `_${cleaned}` : cleaned;
+};
+
+// Split a sender-supplied path into safe segments (last one is the file name).
+// Absolute paths, drive letters and `..` are rejected in favour of the file name alone.
+export const getSafePathSegments = (path, fallbackName) => {
+  const fallback = [sanitizeSegment(fallbackName) || 'file'];
+  if (typeof path !== 'string' || !path) return fallback;
+
+  const normalized = path.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return fallback;
+
+  const rawSegments = normalized.split('/').filter(seg => seg !== '' && seg !== '.');
+  if (!rawSegments.length || rawSegments.includes('..')) return fallback;
+
+  const segments = rawSegments.map(sanitizeSegment);
+  return segments.every(Boolean) ? segments : fallback;
+};
+
+// Folder-less fallback: fold the relative path into a single download name
+export const flattenPathSegments = (segments) => segments.join('__');
+
+// "photo.jpg" → "photo (2).jpg"; names without an extension (or dotfiles) get the number at the end
+export const numberedName = (name, n) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.slice(0, dot)} (${n})${name.slice(dot)}` : `${name} (${n})`;
+};
+
+const MAX_NAME_ATTEMPTS = 1000;
+
+// True if `dir` already has a file or folder called `name`
+const entryExists = async (dir, name) => {
+  try {
+    await dir.getFileHandle(name);
+    return true;
+  } catch (err) {
+    if (err.name === 'NotFoundError') return false;
+    if (err.name === 'TypeMismatchError') return true; // A folder by that name
+    throw err;
+  }
+};
+
+// Create the nested directories under `rootHandle` (reusing existing ones) and a new file at the end.
+// Existing files are never touched: a taken name becomes "name (1).ext", "name (2).ext", ...
+export const createFileHandleAt = async (rootHandle, segments) => {
+  let dir = rootHandle;
+  for (const segment of segments.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(segment, { create: true });
+  }
+  const name = segments[segments.length - 1];
+  for (let n = 0; n < MAX_NAME_ATTEMPTS; n++) {
+    const candidate = n ? numberedName(name, n) : name;
+    if (!(await entryExists(dir, candidate))) return dir.getFileHandle(candidate, { create: true });
+  }
+  throw new Error(`No free file name for ${name}`);
+};
+
+export const supportsDirectoryPicker = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
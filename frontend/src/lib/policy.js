@@ -0,0 +1,109 @@
+// Acceptance policy: limits this device puts on every incoming batch, trusted or not.
+// Checked when a request arrives; a request that breaks it is declined with a reason the
+// sender sees, or (for files of a disallowed type, if chosen) loses those files instead.
+// Kept in localStorage like the device name.
+
+import { formatBytes } from './format';
+
+const STORAGE_KEY = 'locallink_policy';
+
+export const DEFAULT_POLICY = {
+  maxBytes: 0, // Whole batch; 0 = no limit
+  maxFiles: 0, // 0 = no limit
+  allowedTypes: [], // Extensions (".jpg") or MIME types ("image/*"); empty = any
+  blockedTypes: [], // Same syntax; always wins over allowedTypes
+  onTypeMismatch: 'decline' // 'decline' the request, or 'exclude' the offending files
+};
+
+export const loadPolicy = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? { ...DEFAULT_POLICY, ...stored } : DEFAULT_POLICY;
+  } catch {
+    return DEFAULT_POLICY;
+  }
+};
+
+export const savePolicy = (policy) => localStorage.setItem(STORAGE_KEY, JSON.stringify(policy));
+
+// True if a policy limits anything
+export const isPolicyActive = (policy) => !!(policy.maxBytes || policy.maxFiles || policy.allowedTypes.length || policy.blockedTypes.length);
+
+// Manifest entry against one pattern: ".ext"/"ext" by name, "type/sub" or "type/*" by MIME type
+export const matchesType = (entry, pattern) => {
+  const rule = pattern.trim().toLowerCase();
+  if (!rule) return false;
+  if (rule.includes('/')) {
+    const type = (entry.type || '').toLowerCase();
+    return rule.endsWith('/*') ? type.startsWith(rule.slice(0, -1)) : type === rule;
+  }
+  const extension = rule.startsWith('.') ? rule : `.${rule}`;
+  return entry.name.toLowerCase().endsWith(extension);
+};
+
+const isTypeAllowed = (policy, entry) => {
+  if (policy.blockedTypes.some(pattern => matchesType(entry, pattern))) return false;
+  return !policy.allowedTypes.length || policy.allowedTypes.some(pattern => matchesType(entry, pattern));
+};
+
+// { ok: true, excluded } or { ok: false, reason } for an incoming request.
+// `excluded` are the manifest indices dropped under onTypeMismatch 'exclude' (empty otherwise).
+export const checkPolicy = (policy, request) => {
+  const fileCount = request.fileCount || 0;
+  if (policy.maxFiles && fileCount > policy.maxFiles) {
+    return { ok: false, reason: `Too many files (${fileCount}, the limit is ${policy.maxFiles})` };
+  }
+
+  let excluded = [];
+  if (policy.allowedTypes.length || policy.blockedTypes.length) {
+    if (!request.manifest || request.manifestTruncated) {
+      return { ok: false, reason: 'File types could not be checked: the file list is incomplete' };
+    }
+    const offending = request.manifest.filter(entry => !isTypeAllowed(policy, entry));
+    if (offending.length) {
+      if (policy.onTypeMismatch !== 'exclude' || offending.length === request.manifest.length) {
+        return { ok: false, reason: `File type not accepted: ${offending[0].name}${offending.length > 1 ? ` and ${offending.length - 1} more` : ''}` };
+      }
+      excluded = offending.map(entry => entry.index);
+    }
+  }
+
+  const dropped = new Set(excluded);
+  const totalBytes = excluded.length
+    ? request.manifest.filter(entry => !dropped.has(entry.index)).reduce((acc, entry) => acc + entry.size, 0)
+    : request.totalBytes || 0;
+  if (policy.maxBytes && totalBytes > policy.maxBytes) {
+    return { ok: false, reason: `Batch is too large (${formatBytes(totalBytes)}, the limit is ${formatBytes(policy.maxBytes)})` };
+  }
+
+  return { ok: true, excluded };
+};
+
+// --- ACCEPTED BATCHES ---
+// What an accepted batch is held to while it arrives, since the sender's request is only a claim:
+// the manifest entries agreed to (null when the list was incomplete, so only the totals bind),
+// the byte total and the policy at the time of accepting.
+export const createAcceptance = ({ manifest, files, totalBytes, policy }) => {
+  const entries = manifest ? manifest.filter(entry => !files || files.includes(entry.index)) : null;
+  return {
+    entries: entries && new Map(entries.map(entry => [entry.index, entry])),
+    totalBytes: entries ? entries.reduce((acc, entry) => acc + entry.size, 0) : totalBytes || 0,
+    policy
+  };
+};
+
+// null if a file-header fits the acceptance, otherwise why it doesn't.
+// `otherBytes` is what the batch's other announced files add up to.
+export const checkFileHeader = (acceptance, header, otherBytes) => {
+  const entry = acceptance.entries?.get(header.index);
+  if (acceptance.entries) {
+    if (!entry) return `File ${header.index} was not accepted`;
+    if (entry.name !== header.name || entry.size !== header.size) return `${header.name} does not match the accepted file list`;
+  }
+  if (!isTypeAllowed(acceptance.policy, { name: header.name, type: entry?.type })) return `File type not accepted: ${header.name}`;
+  const total = otherBytes + header.size;
+  if (total > acceptance.totalBytes || (acceptance.policy.maxBytes && total > acceptance.policy.maxBytes)) {
+    return 'Batch is larger than what was accepted';
+  }
+  return null;
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_POLICY, createAcceptance, checkFileHeader } from './policy';
+
+const manifest = [
+  { index: 0, name: 'a.jpg', size: 100, type: 'image/jpeg' },
+  { index: 1, name: 'b.txt', size: 50, type: 'text/plain' },
+  { index: 2, name: 'c.exe', size: 10, type: 'application/x-msdownload' }
+];
+
+describe('createAcceptance', () => {
+  it('keeps the selected manifest entries and their byte total', () => {
+    const acceptance = createAcceptance({ manifest, files: [0, 1], totalBytes: 999, policy: DEFAULT_POLICY });
+    expect(Array.from(acceptance.entries.keys())).toEqual([0, 1]);
+    expect(acceptance.totalBytes).toBe(150);
+  });
+
+  it('binds only the total without a manifest', () => {
+    const acceptance = createAcceptance({ manifest: null, files: [4, 7], totalBytes: 300, policy: DEFAULT_POLICY });
+    expect(acceptance.entries).toBeNull();
+    expect(acceptance.totalBytes).toBe(300);
+  });
+});
+
+describe('checkFileHeader', () => {
+  it('accepts files as listed', () => {
+    const acceptance = createAcceptance({ manifest, files: [0, 1], policy: DEFAULT_POLICY });
+    expect(checkFileHeader(acceptance, { index: 0, name: 'a.jpg', size: 100 }, 0)).toBeNull();
+    expect(checkFileHeader(acceptance, { index: 1, name: 'b.txt', size: 50 }, 100)).toBeNull();
+  });
+
+  it('rejects files that were left out or differ from the list', () => {
+    const acceptance = createAcceptance({ manifest, files: [0, 1], policy: DEFAULT_POLICY });
+    expect(checkFileHeader(acceptance, { index: 2, name: 'c.exe', size: 10 }, 0)).toBe('File 2 was not accepted');
+    expect(checkFileHeader(acceptance, { index: 0, name: 'a.jpg', size: 101 }, 0)).toMatch('does not match');
+    expect(checkFileHeader(acceptance, { index: 0, name: 'evil.jpg', size: 100 }, 0)).toMatch('does not match');
+  });
+
+  it('rejects blocked types and batches past the accepted size', () => {
+    const policy = { ...DEFAULT_POLICY, blockedTypes: ['.exe'] };
+    const acceptance = createAcceptance({ manifest: null, totalBytes: 100, policy });
+    expect(checkFileHeader(acceptance, { index: 0, name: 'c.exe', size: 10 }, 0)).toMatch('File type not accepted');
+    expect(checkFileHeader(acceptance, { index: 0, name: 'a.jpg', size: 60 }, 50)).toBe('Batch is larger than what was accepted');
+  });
+
+  it('lets the files of a re-request without a manifest through, up to their sizes', () => {
+    // Corrupted files 4 (120 bytes) and 7 (80 bytes) of a batch whose file list was truncated
+    const acceptance = createAcceptance({ manifest: null, files: [4, 7], totalBytes: 200, policy: DEFAULT_POLICY });
+    expect(checkFileHeader(acceptance, { index: 4, name: 'x.bin', size: 120 }, 0)).toBeNull();
+    expect(checkFileHeader(acceptance, { index: 7, name: 'y.bin', size: 80 }, 120)).toBeNull();
+    expect(checkFileHeader(acceptance, { index: 7, name: 'y.bin', size: 81 }, 120)).toBe('Batch is larger than what was accepted');
+  });
+});
@@ -0,0 +1,132 @@
+// Previews that travel with a batch request: small JPEG thumbnails of images and of a video
+// frame, and the start of small text files. They are attached to manifest entries as
+// `preview: { kind, data }` and share one size budget per request (the server enforces its own cap).
+
+export const PREVIEW_BUDGET = 256 * 1024; // Characters of preview data per request
+const MAX_PREVIEWS = 24;
+const THUMBNAIL_SIZE = 160; // Longest side, px
+const THUMBNAIL_QUALITY = 0.7;
+const IMAGE_MAX_FILE = 40 * 1024 * 1024; // Larger images aren't worth decoding for a thumbnail
+const TEXT_MAX_FILE = 256 * 1024; // Only files this small get a snippet
+const TEXT_SNIPPET = 600; // Characters
+const FRAME_TIMEOUT = 4000; // ms to get a video frame or decode an image
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'log', 'xml', 'yml', 'yaml', 'ini', 'js', 'jsx', 'ts', 'tsx', 'py', 'java', 'c', 'cpp', 'h', 'css', 'html', 'sh'];
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'avif', 'svg'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v', 'ogv'];
+
+const extensionOf = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+// Received files shown in the gallery, typed by extension. The sender's MIME type is not used:
+// gallery URLs can be opened in a tab on this origin, so SVG and anything else that runs script stays out.
+const GALLERY_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp', avif: 'image/avif',
+  mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', ogv: 'video/ogg'
+};
+export const GALLERY_MAX_FILE = 64 * 1024 * 1024; // Larger received files get no gallery entry
+export const GALLERY_MEMORY_BUDGET = 256 * 1024 * 1024; // Bytes kept in memory for gallery entries not saved to a folder
+
+// 'image' | 'video' | 'text' | null, from the MIME type or else the extension
+export const previewKind = (name, type = '') => {
+  const extension = extensionOf(name);
+  if (type.startsWith('image/') || IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (type.startsWith('video/') || VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  if (type.startsWith('text/') || type === 'application/json' || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+};
+
+// MIME type for a received file the gallery can show, or null
+export const galleryType = (name) => GALLERY_TYPES[extensionOf(name)] || null;
+
+// True for a preview that is safe to show: a raster data URL for images/video, plain text otherwise
+export const isValidPreview = (preview) => {
+  if (!preview || typeof preview.data !== 'string') return false;
+  if (preview.kind === 'text') return true;
+  return (preview.kind === 'image' || preview.kind === 'video') && /^data:image\/(jpeg|png|webp);base64,/.test(preview.data);
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error('Preview timed out')), ms))
+]);
+
+// Draw `source` (width × height) scaled into THUMBNAIL_SIZE and return a JPEG data URL
+const drawThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+};
+
+const loadMedia = (element, url, readyEvent) => new Promise((resolve, reject) => {
+  element.addEventListener(readyEvent, () => resolve(element), { once: true });
+  element.addEventListener('error', () => reject(new Error('Could not decode media')), { once: true });
+  element.src = url;
+});
+
+const imageThumbnail = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await loadMedia(new Image(), url, 'load');
+    return drawThumbnail(image, image.naturalWidth, image.naturalHeight);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// A frame a second in (or halfway, for clips shorter than two seconds)
+const videoThumbnail = async (file) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'metadata';
+  try {
+    await loadMedia(video, url, 'loadedmetadata');
+    const seeked = new Promise(resolve => video.addEventListener('seeked', resolve, { once: true }));
+    video.currentTime = Math.min(1, (video.duration || 0) / 2);
+    await seeked;
+    return drawThumbnail(video, video.videoWidth, video.videoHeight);
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
+
+const textSnippet = async (file) => {
+  const text = await file.slice(0, TEXT_SNIPPET * 4).text(); // Enough bytes for TEXT_SNIPPET multi-byte characters
+  return text.slice(0, TEXT_SNIPPET);
+};
+
+// One preview for a file, or null when it has none or it can't be made
+const createPreview = async (file) => {
+  const kind = previewKind(file.name, file.type);
+  try {
+    if (kind === 'image' && file.size <= IMAGE_MAX_FILE) return { kind, data: await withTimeout(imageThumbnail(file), FRAME_TIMEOUT) };
+    if (kind === 'video') return { kind, data: await withTimeout(videoThumbnail(file), FRAME_TIMEOUT) };
+    if (kind === 'text' && file.size <= TEXT_MAX_FILE) return { kind, data: await textSnippet(file) };
+  } catch (err) {
+    console.warn(`⚠️ No preview for ${file.name}:`, err.message);
+  }
+  return null;
+};
+
+// Add `preview` to manifest entries (in place), one file at a time, until the budget runs out
+export const attachPreviews = async (manifest, files, budget = PREVIEW_BUDGET) => {
+  let remaining = budget;
+  let count = 0;
+  for (const entry of manifest) {
+    if (count >= MAX_PREVIEWS || remaining <= 0) break;
+    const file = files[entry.index];
+    if (!file || !previewKind(file.name, file.type)) continue;
+    const preview = await createPreview(file);
+    if (!preview || preview.data.length > remaining) continue;
+    entry.preview = preview;
+    remaining -= preview.data.length;
+    count++;
+  }
+  return manifest;
+};
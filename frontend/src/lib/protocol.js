@@ -0,0 +1,155 @@
+// Data-channel wire protocol.
+// Every message is one binary frame:
+//
+//   offset 0  u8   frame type (FRAME_TYPES)
+//   offset 1  u32  file ID (index of the file in the batch, NO_FILE for batch-level messages)
+//   offset 5  u32  sequence number (chunk number within the file, 0 otherwise)
+//   offset 9  ...  payload: raw bytes for DATA, UTF-8 JSON for everything else
+//
+// Integers are big-endian. Both ends send HELLO right after the channel opens and
+// refuse to go on if the versions differ. The HELLO layout must never change.
+//
+// v2: DATA frames may be striped over several channels and arrive out of order;
+// the receiver reorders them by sequence number and END carries the chunk count.
+
+export const PROTOCOL_NAME = 'locallink';
+export const PROTOCOL_VERSION = 2;
+
+export const FRAME_TYPES = {
+  HELLO: 0x01, // { protocol, version, lanes }
+  HEADER: 0x02, // file header: { transferId, name, size, offset, path }
+  DATA: 0x03, // file bytes
+  END: 0x04, // file end: { transferId, size, sha256, chunks }
+  ACK: 0x05, // receiver's verdict on a file: { transferId, integrity }
+  ERROR: 0x06, // { code, message }
+  CONTROL: 0x07 // batch-level JSON control message with its own `type`
+};
+
+export const FRAME_HEADER_SIZE = 9;
+export const NO_FILE = 0xffffffff;
+
+// Message `type` ⇄ frame type for the JSON frames that aren't CONTROL
+const MESSAGE_FRAME_TYPES = {
+  hello: FRAME_TYPES.HELLO,
+  'file-header': FRAME_TYPES.HEADER,
+  'file-end': FRAME_TYPES.END,
+  ack: FRAME_TYPES.ACK,
+  error: FRAME_TYPES.ERROR
+};
+const FRAME_MESSAGE_TYPES = Object.fromEntries(Object.entries(MESSAGE_FRAME_TYPES).map(([type, frame]) => [frame, type]));
+const KNOWN_FRAME_TYPES = new Set(Object.values(FRAME_TYPES));
+
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (typeof data === 'string') return encoder.encode(data);
+  throw new ProtocolError('invalid-frame', 'Unsupported frame data');
+};
+
+// --- FRAMES ---
+export const encodeFrame = (type, { fileId = NO_FILE, seq = 0, payload = new Uint8Array(0) } = {}) => {
+  const body = toBytes(payload);
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + body.length);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, type);
+  view.setUint32(1, fileId >>> 0);
+  view.setUint32(5, seq >>> 0);
+  frame.set(body, FRAME_HEADER_SIZE);
+  return frame;
+};
+
+// Returns { type, fileId, seq, payload }; payload is a view into `data`, not a copy
+export const decodeFrame = (data) => {
+  const bytes = toBytes(data);
+  // Pre-protocol clients sent bare JSON strings
+  if (bytes[0] === 0x7b) {
+    throw new ProtocolError('version-mismatch', 'The other device runs an older LocalLink without protocol versioning. Update both devices.');
+  }
+  if (bytes.length < FRAME_HEADER_SIZE) {
+    throw new ProtocolError('invalid-frame', `Frame too short (${bytes.length} bytes)`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = view.getUint8(0);
+  if (!KNOWN_FRAME_TYPES.has(type)) {
+    throw new ProtocolError('unknown-frame', `Unknown frame type 0x${type.toString(16)}`);
+  }
+  return {
+    type,
+    fileId: view.getUint32(1),
+    seq: view.getUint32(5),
+    payload: bytes.subarray(FRAME_HEADER_SIZE)
+  };
+};
+
+// --- MESSAGES ---
+// JSON messages keep the shape the app works with ({ type, ...fields }); `index` travels as the file ID
+export const encodeMessage = (msg) => {
+  const frameType = MESSAGE_FRAME_TYPES[msg.type] || FRAME_TYPES.CONTROL;
+  const { index, ...fields } = msg;
+  const hasFile = frameType !== FRAME_TYPES.CONTROL && Number.isInteger(index);
+  const body = frameType === FRAME_TYPES.CONTROL ? msg : fields;
+  return encodeFrame(frameType, {
+    fileId: hasFile ? index : NO_FILE,
+    payload: encoder.encode(JSON.stringify(body))
+  });
+};
+
+export const encodeData = (fileId, seq, bytes) => encodeFrame(FRAME_TYPES.DATA, { fileId, seq, payload: bytes });
+
+// DATA frames come back as { type: 'data', index, seq, bytes }, JSON frames as the message that was encoded
+export const decodeMessage = (data) => {
+  const frame = decodeFrame(data);
+  if (frame.type === FRAME_TYPES.DATA) {
+    return { type: 'data', index: frame.fileId, seq: frame.seq, bytes: frame.payload };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(decoder.decode(frame.payload));
+  } catch {
+    throw new ProtocolError('invalid-frame', `Unreadable payload in frame type 0x${frame.type.toString(16)}`);
+  }
+  if (!body || typeof body !== 'object') {
+    throw new ProtocolError('invalid-frame', 'Frame payload is not an object');
+  }
+
+  if (frame.type === FRAME_TYPES.CONTROL) {
+    if (typeof body.type !== 'string' || MESSAGE_FRAME_TYPES[body.type]) {
+      throw new ProtocolError('invalid-frame', 'Control frame without a valid message type');
+    }
+    return body;
+  }
+  const msg = { ...body, type: FRAME_MESSAGE_TYPES[frame.type] };
+  if (frame.fileId !== NO_FILE) msg.index = frame.fileId;
+  return msg;
+};
+
+// --- HANDSHAKE ---
+// `extra` carries capabilities such as the number of data lanes this end opened
+export const helloMessage = (extra = {}) => ({ ...extra, type: 'hello', protocol: PROTOCOL_NAME, version: PROTOCOL_VERSION });
+
+// Throws a 'version-mismatch' ProtocolError unless the peer's HELLO matches ours
+export const checkHello = (msg) => {
+  if (msg?.type !== 'hello' || msg.protocol !== PROTOCOL_NAME) {
+    throw new ProtocolError('version-mismatch', 'The other device did not identify as LocalLink. Update both devices.');
+  }
+  if (msg.version !== PROTOCOL_VERSION) {
+    const newer = msg.version > PROTOCOL_VERSION ? 'a newer' : 'an older';
+    throw new ProtocolError(
+      'version-mismatch',
+      `The other device runs ${newer} LocalLink (protocol v${msg.version}, this one v${PROTOCOL_VERSION}). Update both devices.`
+    );
+  }
+};
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FRAME_TYPES,
+  FRAME_HEADER_SIZE,
+  NO_FILE,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  encodeFrame,
+  decodeFrame,
+  encodeMessage,
+  encodeData,
+  decodeMessage,
+  helloMessage,
+  checkHello
+} from './protocol';
+
+// The ProtocolError `code` a call throws, or null if it doesn't throw
+const errorCode = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    expect(err).toBeInstanceOf(ProtocolError);
+    return err.code;
+  }
+};
+
+describe('encodeFrame / decodeFrame', () => {
+  it('lays out the 9-byte header big-endian', () => {
+    const frame = encodeFrame(FRAME_TYPES.DATA, { fileId: 0x01020304, seq: 0x0a0b0c0d, payload: new Uint8Array([9, 8]) });
+    expect(Array.from(frame)).toEqual([0x03, 1, 2, 3, 4, 0x0a, 0x0b, 0x0c, 0x0d, 9, 8]);
+  });
+
+  it('round-trips type, file ID, sequence and payload', () => {
+    const payload = new Uint8Array([0, 255, 7]);
+    const frame = decodeFrame(encodeFrame(FRAME_TYPES.DATA, { fileId: 42, seq: 7, payload }));
+    expect(frame.type).toBe(FRAME_TYPES.DATA);
+    expect(frame.fileId).toBe(42);
+    expect(frame.seq).toBe(7);
+    expect(Array.from(frame.payload)).toEqual([0, 255, 7]);
+  });
+
+  it('defaults to NO_FILE, sequence 0 and an empty payload', () => {
+    const frame = decodeFrame(encodeFrame(FRAME_TYPES.CONTROL));
+    expect(frame.fileId).toBe(NO_FILE);
+    expect(frame.seq).toBe(0);
+    expect(frame.payload.length).toBe(0);
+  });
+
+  it('decodes from an ArrayBuffer and from a view at an offset', () => {
+    const frame = encodeFrame(FRAME_TYPES.ACK, { fileId: 3 });
+    expect(decodeFrame(frame.slice().buffer).fileId).toBe(3);
+
+    const padded = new Uint8Array(frame.length + 4);
+    padded.set(frame, 4);
+    expect(decodeFrame(padded.subarray(4)).fileId).toBe(3);
+  });
+
+  it('rejects frames shorter than the header', () => {
+    expect(errorCode(() => decodeFrame(new Uint8Array(FRAME_HEADER_SIZE - 1)))).toBe('invalid-frame');
+    expect(errorCode(() => decodeFrame(new Uint8Array(0)))).toBe('invalid-frame');
+  });
+
+  it('rejects unknown frame types', () => {
+    const frame = encodeFrame(0x7f);
+    expect(errorCode(() => decodeFrame(frame))).toBe('unknown-frame');
+  });
+
+  it('reports bare JSON from pre-protocol clients as a version mismatch', () => {
+    expect(errorCode(() => decodeFrame('{"type":"file-header"}'))).toBe('version-mismatch');
+    expect(errorCode(() => decodeFrame(new TextEncoder().encode('{}')))).toBe('version-mismatch');
+  });
+
+  it('refuses data it cannot read as bytes', () => {
+    expect(errorCode(() => decodeFrame(42))).toBe('invalid-frame');
+  });
+});
+
+describe('encodeMessage / decodeMessage', () => {
+  it.each([
+    ['file-header', { type: 'file-header', transferId: 't1', index: 2, name: 'a.txt', size: 10, offset: 0, path: 'dir/a.txt' }, FRAME_TYPES.HEADER],
+    ['file-end', { type: 'file-end', transferId: 't1', index: 2, size: 10, sha256: 'ab', chunks: 1 }, FRAME_TYPES.END],
+    ['ack', { type: 'ack', transferId: 't1', index: 0, integrity: 'verified' }, FRAME_TYPES.ACK],
+    ['error', { type: 'error', code: 'protocol-error', message: 'nope' }, FRAME_TYPES.ERROR],
+    ['control', { type: 'batch-start', transferId: 't1', fileCount: 3, totalBytes: 30 }, FRAME_TYPES.CONTROL]
+  ])('round-trips %s', (_, msg, frameType) => {
+    const frame = encodeMessage(msg);
+    expect(decodeFrame(frame).type).toBe(frameType);
+    expect(decodeMessage(frame)).toEqual(msg);
+  });
+
+  it('sends a file message\'s index as the frame file ID', () => {
+    const frame = decodeFrame(encodeMessage({ type: 'file-header', index: 5, name: 'x' }));
+    expect(frame.fileId).toBe(5);
+    expect(JSON.parse(new TextDecoder().decode(frame.payload))).toEqual({ type: 'file-header', name: 'x' });
+  });
+
+  it('keeps the index inside control messages', () => {
+    const msg = { type: 'file-request', transferId: 't1', indices: [1, 2], index: 4 };
+    expect(decodeFrame(encodeMessage(msg)).fileId).toBe(NO_FILE);
+    expect(decodeMessage(encodeMessage(msg))).toEqual(msg);
+  });
+
+  it('decodes DATA frames to their bytes', () => {
+    const msg = decodeMessage(encodeData(3, 9, new Uint8Array([1, 2, 3])));
+    expect(msg.type).toBe('data');
+    expect(msg.index).toBe(3);
+    expect(msg.seq).toBe(9);
+    expect(Array.from(msg.bytes)).toEqual([1, 2, 3]);
+  });
+
+  it('rejects JSON frames with unreadable or non-object payloads', () => {
+    expect(errorCode(() => decodeMessage(encodeFrame(FRAME_TYPES.ACK, { payload: 'not json' })))).toBe('invalid-frame');
+    expect(errorCode(() => decodeMessage(encodeFrame(FRAME_TYPES.ACK, { payload: '42' })))).toBe('invalid-frame');
+  });
+
+  it('rejects control frames without a type, or posing as another frame type', () => {
+    expect(errorCode(() => decodeMessage(encodeFrame(FRAME_TYPES.CONTROL, { payload: '{"transferId":"t1"}' })))).toBe('invalid-frame');
+    expect(errorCode(() => decodeMessage(encodeFrame(FRAME_TYPES.CONTROL, { payload: '{"type":"file-header"}' })))).toBe('invalid-frame');
+  });
+});
+
+describe('helloMessage / checkHello', () => {
+  it('accepts its own HELLO, extras included, after a round trip', () => {
+    const hello = decodeMessage(encodeMessage(helloMessage({ lanes: 4 })));
+    expect(hello.lanes).toBe(4);
+    expect(() => checkHello(hello)).not.toThrow();
+  });
+
+  it('does not let extras override the protocol fields', () => {
+    expect(helloMessage({ version: 99, type: 'ack' })).toMatchObject({ type: 'hello', version: PROTOCOL_VERSION });
+  });
+
+  it.each([
+    ['an older', PROTOCOL_VERSION - 1],
+    ['a newer', PROTOCOL_VERSION + 1]
+  ])('names %s version in the mismatch', (wording, version) => {
+    const hello = { ...helloMessage(), version };
+    expect(errorCode(() => checkHello(hello))).toBe('version-mismatch');
+    expect(() => checkHello(hello)).toThrow(wording);
+  });
+
+  it('rejects messages that are not a LocalLink HELLO', () => {
+    expect(errorCode(() => checkHello({ type: 'hello', protocol: 'other', version: PROTOCOL_VERSION }))).toBe('version-mismatch');
+    expect(errorCode(() => checkHello({ type: 'ack' }))).toBe('version-mismatch');
+    expect(errorCode(() => checkHello(null))).toBe('version-mismatch');
+  });
+});
@@ -0,0 +1,117 @@
+// Server relay: a stand-in for SimplePeer that carries frames over Socket.IO when
+// WebRTC can't connect. It exposes the parts of SimplePeer the app uses (on, send,
+// destroy, connected, destroyed, _channel), so the transfer code runs unchanged.
+//
+// Flow control: every frame is acknowledged once the other device has taken it, and
+// `_channel.bufferedAmount` counts the bytes still waiting for that ack. The striper
+// sees a data channel and holds back on it the same way.
+
+const RELAY_LOW_WATER = 256 * 1024;
+// An ack that never comes (the socket dropped, which discards pending acks) ends the relay
+const RELAY_ACK_TIMEOUT = 30 * 1000;
+
+// Minimal EventTarget-backed channel the striper (lib/lanes.js) can write to
+const createRelayChannel = (sendFrame) => {
+  const channel = new EventTarget();
+  channel.readyState = 'connecting';
+  channel.bufferedAmount = 0;
+  channel.bufferedAmountLowThreshold = RELAY_LOW_WATER;
+
+  channel.send = (frame) => {
+    if (channel.readyState !== 'open') throw new Error('Relay closed');
+    const size = frame.byteLength;
+    channel.bufferedAmount += size;
+    sendFrame(frame, () => {
+      const wasAbove = channel.bufferedAmount > channel.bufferedAmountLowThreshold;
+      channel.bufferedAmount = Math.max(0, channel.bufferedAmount - size);
+      if (wasAbove && channel.bufferedAmount <= channel.bufferedAmountLowThreshold) {
+        channel.dispatchEvent(new Event('bufferedamountlow'));
+      }
+    });
+  };
+
+  return channel;
+};
+
+// `initiator` asks the server to open the relay; the other side is created once it has
+export const createRelayPeer = (socket, { to, transferId, initiator }) => {
+  const listeners = new Map();
+  const peer = {
+    relayed: true,
+    connected: false,
+    destroyed: false,
+
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(handler);
+      return peer;
+    },
+
+    removeListener(event, handler) {
+      listeners.set(event, (listeners.get(event) || []).filter(h => h !== handler));
+      return peer;
+    },
+
+    send(data) {
+      peer._channel.send(data);
+    },
+
+    // Relays have no signaling; kept so callers can treat both transports alike
+    signal() { },
+
+    // Frames that came in over the socket for this transfer
+    receive(data) {
+      if (!peer.destroyed) emit('data', data);
+    },
+
+    // `remote` is set when the server or the other side already closed the relay
+    destroy(err, { remote = false } = {}) {
+      if (peer.destroyed) return;
+      peer.destroyed = true;
+      peer.connected = false;
+      peer._channel.readyState = 'closed';
+      peer._channel.dispatchEvent(new Event('close'));
+      if (!remote) socket.emit('relay-close', { transferId });
+      // Like SimplePeer, report the close on a later tick so a replacement can be registered first
+      setTimeout(() => {
+        if (err) emit('error', err);
+        emit('close');
+      }, 0);
+    }
+  };
+
+  const emit = (event, ...args) => {
+    (listeners.get(event) || []).slice().forEach(handler => handler(...args));
+  };
+
+  const sendFrame = (frame, onAck) => {
+    socket.timeout(RELAY_ACK_TIMEOUT).emit('relay-data', { transferId, data: frame }, (err, res) => {
+      onAck();
+      if (err) peer.destroy(new Error('Relay stopped answering'), { remote: true });
+      else if (!res?.ok) peer.destroy(new Error(res?.error || 'Relay dropped a frame'));
+    });
+  };
+
+  peer._channel = createRelayChannel(sendFrame);
+
+  const open = () => {
+    peer.connected = true;
+    peer._channel.readyState = 'open';
+    emit('connect');
+  };
+
+  if (initiator) {
+    socket.timeout(RELAY_ACK_TIMEOUT).emit('relay-open', { to, transferId }, (err, res) => {
+      if (peer.destroyed) return;
+      if (!err && res?.ok) open();
+      else peer.destroy(new Error(err ? 'Relay did not answer' : res?.error || 'Relay unavailable'), { remote: true });
+    });
+  } else {
+    // The server only forwards 'relay-open' once the session exists; let the caller attach handlers first
+    setTimeout(() => {
+      if (!peer.destroyed) open();
+    }, 0);
+  }
+
+  return peer;
+};
@@ -0,0 +1,9 @@
+// Dashboard transfer states.
+// waiting → connecting → connected/queued → transferring → completed,
+// with declined, cancelled, failed and interrupted (resumable) as the other ends.
+
+export const FINISHED_STATUSES = ['declined', 'completed', 'cancelled', 'failed'];
+export const ACTIVE_STATUSES = ['connected', 'queued', 'transferring'];
+
+export const isFinishedTransfer = (transfer) => FINISHED_STATUSES.includes(transfer.status);
+export const isActiveTransfer = (transfer) => ACTIVE_STATUSES.includes(transfer.status);
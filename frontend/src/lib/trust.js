@@ -0,0 +1,131 @@
+// Trusted devices.
+// Each browser has an ECDSA P-256 key pair (private key non-extractable, kept in IndexedDB).
+// Pairing swaps public keys through the server and both screens show a code derived from
+// both keys and both nonces; a server that swapped keys would make the codes differ.
+// A trusted device signs its batch requests, so trust follows the key, not the name or ID.
+// Needs WebCrypto, which browsers only expose on HTTPS or localhost.
+
+import { supportsIndexedDb, dbGet, dbGetAll, dbPut, dbDelete } from './db';
+import { matchesType } from './policy';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const REQUEST_MAX_AGE = 5 * 60 * 1000; // Signed requests older (or further in the future) than this are refused
+
+export const DEFAULT_TRUST_RULES = {
+  autoAccept: true,
+  maxBytes: 1024 * 1024 * 1024, // 0 = no limit
+  allowedTypes: [] // Extensions (".jpg") or MIME types ("image/*"); empty = any
+};
+
+export const supportsTrust = () => !!window.crypto?.subtle && supportsIndexedDb();
+
+const encoder = new TextEncoder();
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+// Only the fields that define a P-256 public key, in a fixed order
+const canonicalJwk = (jwk) => ({ kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y });
+
+// Fingerprint of a public key: hex SHA-256 of its canonical JWK
+export const keyIdOf = async (jwk) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(JSON.stringify(canonicalJwk(jwk))));
+  return toHex(digest).slice(0, 32);
+};
+
+export const randomNonce = () => toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+
+// --- IDENTITY ---
+let identityPromise = null;
+
+// This device's key pair, created on first use: { privateKey, publicJwk, keyId }
+export const getIdentity = () => {
+  if (!identityPromise) {
+    identityPromise = (async () => {
+      const stored = await dbGet('identity', 'self');
+      if (stored) return stored;
+      const pair = await window.crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+      const publicJwk = canonicalJwk(await window.crypto.subtle.exportKey('jwk', pair.publicKey));
+      const identity = { id: 'self', privateKey: pair.privateKey, publicJwk, keyId: await keyIdOf(publicJwk) };
+      await dbPut('identity', identity);
+      return identity;
+    })();
+    identityPromise.catch(() => { identityPromise = null; });
+  }
+  return identityPromise;
+};
+
+// The identity if one was ever created, without creating it (null otherwise)
+export const peekIdentity = async () => {
+  if (!supportsTrust()) return null;
+  return identityPromise || (await dbGet('identity', 'self')) || null;
+};
+
+// --- PAIRING ---
+// Six digits both screens show; the initiator's key and nonce always come first
+export const verificationCode = async ({ initiatorKey, responderKey, initiatorNonce, responderNonce }) => {
+  const material = [await keyIdOf(initiatorKey), await keyIdOf(responderKey), initiatorNonce, responderNonce].join('|');
+  const digest = new DataView(await window.crypto.subtle.digest('SHA-256', encoder.encode(material)));
+  const code = String(digest.getUint32(0) % 1000000).padStart(6, '0');
+  return `${code.slice(0, 3)} ${code.slice(3)}`;
+};
+
+// --- TRUSTED DEVICES ---
+// Entries: { keyId, deviceId, name, publicKey, pairedAt, rules }
+export const listTrusted = () => dbGetAll('trusted');
+
+export const saveTrusted = async ({ deviceId, name, publicKey, rules = DEFAULT_TRUST_RULES }) => {
+  const entry = { keyId: await keyIdOf(publicKey), deviceId, name, publicKey: canonicalJwk(publicKey), pairedAt: Date.now(), rules };
+  await dbPut('trusted', entry);
+  return entry;
+};
+
+export const updateTrusted = (entry) => dbPut('trusted', entry);
+export const removeTrusted = (keyId) => dbDelete('trusted', keyId);
+
+// --- SIGNED REQUESTS ---
+const requestPayload = ({ transferId, to, fileCount, totalBytes, timestamp }) =>
+  encoder.encode(['locallink-batch', transferId, to, fileCount, totalBytes, timestamp].join('|'));
+
+// `auth` block for a batch request: { keyId, timestamp, signature }
+export const signBatchRequest = async (identity, { transferId, to, fileCount, totalBytes }) => {
+  const timestamp = Date.now();
+  const signature = await window.crypto.subtle.sign(
+    SIGN_ALGORITHM,
+    identity.privateKey,
+    requestPayload({ transferId, to, fileCount, totalBytes, timestamp })
+  );
+  return { keyId: identity.keyId, timestamp, signature: toBase64(signature) };
+};
+
+// True if `request.auth` was signed by `trusted`'s key for this device, recently
+export const verifyBatchRequest = async (trusted, request, myDeviceId, now = Date.now()) => {
+  const { auth } = request;
+  if (!auth || auth.keyId !== trusted.keyId || Math.abs(now - auth.timestamp) > REQUEST_MAX_AGE) return false;
+  try {
+    const publicKey = await window.crypto.subtle.importKey('jwk', trusted.publicKey, KEY_ALGORITHM, false, ['verify']);
+    return await window.crypto.subtle.verify(
+      SIGN_ALGORITHM,
+      publicKey,
+      fromBase64(auth.signature),
+      requestPayload({ transferId: request.transferId, to: myDeviceId, fileCount: request.fileCount, totalBytes: request.totalBytes, timestamp: auth.timestamp })
+    );
+  } catch {
+    return false;
+  }
+};
+
+// --- AUTO-ACCEPT RULES ---
+// { ok: true } or { ok: false, reason } for an incoming request under a device's rules
+export const checkAutoAccept = (rules, request) => {
+  if (!rules?.autoAccept) return { ok: false, reason: 'auto-accept is off' };
+  if (rules.maxBytes && (request.totalBytes || 0) > rules.maxBytes) return { ok: false, reason: 'batch is over the size limit' };
+  if (rules.allowedTypes?.length) {
+    if (!request.manifest || request.manifestTruncated) return { ok: false, reason: 'file list is incomplete' };
+    const blocked = request.manifest.find(entry => !rules.allowedTypes.some(pattern => matchesType(entry, pattern)));
+    if (blocked) return { ok: false, reason: `${blocked.name} is not an allowed type` };
+  }
+  return { ok: true };
+};
@@ -0,0 +1,239 @@
+// Streaming ZIP writer.
+// Entries are written as their bytes arrive: sizes and CRC go into a data descriptor
+// after each entry (general purpose flag bit 3), so nothing but the central directory
+// records is kept in memory. ZIP64 records are added when sizes or offsets need them.
+
+const ZIP64_LIMIT = 0xffffffff;
+// Declared sizes above this get ZIP64 local headers (deflate can grow data slightly)
+const ZIP64_ENTRY_THRESHOLD = 0xf0000000;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Running CRC-32: start from 0, feed chunks in order
+export const crc32 = (crc, bytes) => {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+};
+
+export const supportsDeflate = () => typeof CompressionStream !== 'undefined';
+
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+};
+
+// Little-endian record builder
+const record = (size) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+  const w = {
+    u16: (v) => { view.setUint16(pos, v, true); pos += 2; return w; },
+    u32: (v) => { view.setUint32(pos, v >>> 0, true); pos += 4; return w; },
+    u64: (v) => { view.setUint32(pos, v % 0x100000000, true); view.setUint32(pos + 4, Math.floor(v / 0x100000000), true); pos += 8; return w; },
+    bytes: (b) => { bytes.set(b, pos); pos += b.length; return w; },
+    done: () => bytes
+  };
+  return w;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// `sink` needs an async write(Uint8Array). The caller closes the sink after close().
+export const createZipWriter = (sink, { compression = 'store' } = {}) => {
+  const method = compression === 'deflate' && supportsDeflate() ? METHOD_DEFLATE : METHOD_STORE;
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+  let queue = Promise.resolve();
+  let closed = false;
+
+  // Every sink write goes through one queue so entries never interleave
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result;
+    return result;
+  };
+
+  const emit = async (bytes) => {
+    await sink.write(bytes);
+    offset += bytes.length;
+  };
+
+  const localHeader = (entry) => {
+    const extra = entry.zip64 ? record(20).u16(0x0001).u16(16).u64(0).u64(0).done() : new Uint8Array(0);
+    return record(30 + entry.name.length + extra.length)
+      .u32(0x04034b50)
+      .u16(entry.zip64 ? 45 : 20)
+      .u16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .u16(method)
+      .u16(entry.dos.time)
+      .u16(entry.dos.date)
+      .u32(0)
+      .u32(entry.zip64 ? ZIP64_LIMIT : 0)
+      .u32(entry.zip64 ? ZIP64_LIMIT : 0)
+      .u16(entry.name.length)
+      .u16(extra.length)
+      .bytes(entry.name)
+      .bytes(extra)
+      .done();
+  };
+
+  const dataDescriptor = (entry) => {
+    const w = record(entry.zip64 ? 24 : 16).u32(0x08074b50).u32(entry.crc);
+    return entry.zip64
+      ? w.u64(entry.compressedSize).u64(entry.size).done()
+      : w.u32(entry.compressedSize).u32(entry.size).done();
+  };
+
+  const centralHeader = (entry) => {
+    const big = {
+      size: entry.zip64 || entry.size >= ZIP64_LIMIT,
+      compressedSize: entry.zip64 || entry.compressedSize >= ZIP64_LIMIT,
+      offset: entry.offset >= ZIP64_LIMIT
+    };
+    const extraFields = [
+      big.size && entry.size,
+      big.compressedSize && entry.compressedSize,
+      big.offset && entry.offset
+    ].filter(v => v !== false);
+    const extra = extraFields.length
+      ? extraFields.reduce((w, v) => w.u64(v), record(4 + extraFields.length * 8).u16(0x0001).u16(extraFields.length * 8)).done()
+      : new Uint8Array(0);
+    const needs64 = extraFields.length > 0;
+
+    return record(46 + entry.name.length + extra.length)
+      .u32(0x02014b50)
+      .u16(needs64 ? 45 : 20)
+      .u16(needs64 ? 45 : 20)
+      .u16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .u16(method)
+      .u16(entry.dos.time)
+      .u16(entry.dos.date)
+      .u32(entry.crc)
+      .u32(big.compressedSize ? ZIP64_LIMIT : entry.compressedSize)
+      .u32(big.size ? ZIP64_LIMIT : entry.size)
+      .u16(entry.name.length)
+      .u16(extra.length)
+      .u16(0)
+      .u16(0)
+      .u16(0)
+      .u32(0)
+      .u32(big.offset ? ZIP64_LIMIT : entry.offset)
+      .bytes(entry.name)
+      .bytes(extra)
+      .done();
+  };
+
+  // Start an entry; returns { write(chunk), close() }. Entries are written in call order.
+  const addFile = (path, { size = 0, modified = new Date() } = {}) => {
+    if (closed) throw new Error('zip: archive already closed');
+    const entry = {
+      name: encoder.encode(path),
+      dos: toDosDateTime(modified),
+      zip64: size >= ZIP64_ENTRY_THRESHOLD,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: 0
+    };
+    let compressor = null;
+    let pump = null;
+    let finished = false;
+
+    enqueue(async () => {
+      entry.offset = offset;
+      await emit(localHeader(entry));
+      if (method === METHOD_DEFLATE) {
+        const stream = new CompressionStream('deflate-raw');
+        compressor = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        pump = (async () => {
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            entry.compressedSize += value.length;
+            await emit(value);
+          }
+        })();
+      }
+    });
+
+    const write = (chunk) => enqueue(async () => {
+      const bytes = toBytes(chunk);
+      entry.crc = crc32(entry.crc, bytes);
+      entry.size += bytes.length;
+      if (compressor) {
+        await compressor.write(bytes);
+      } else {
+        entry.compressedSize += bytes.length;
+        await emit(bytes);
+      }
+    });
+
+    const close = () => {
+      if (finished) return queue;
+      finished = true;
+      return enqueue(async () => {
+        if (compressor) {
+          await compressor.close();
+          await pump;
+        }
+        await emit(dataDescriptor(entry));
+        entries.push(entry);
+      });
+    };
+
+    // An entry can't be taken back once streamed; aborting just ends it where it is
+    return { write, close, abort: close };
+  };
+
+  // Write the central directory; no entries can be added afterwards
+  const close = () => {
+    closed = true;
+    return enqueue(async () => {
+      const cdOffset = offset;
+      for (const entry of entries) {
+        await emit(centralHeader(entry));
+      }
+      const cdSize = offset - cdOffset;
+
+      if (entries.length >= 0xffff || cdOffset >= ZIP64_LIMIT || cdSize >= ZIP64_LIMIT) {
+        const zip64EndOffset = offset;
+        await emit(record(56)
+          .u32(0x06064b50).u64(44).u16(45).u16(45).u32(0).u32(0)
+          .u64(entries.length).u64(entries.length).u64(cdSize).u64(cdOffset)
+          .done());
+        await emit(record(20).u32(0x07064b50).u32(0).u64(zip64EndOffset).u32(1).done());
+      }
+
+      await emit(record(22)
+        .u32(0x06054b50).u16(0).u16(0)
+        .u16(Math.min(entries.length, 0xffff))
+        .u16(Math.min(entries.length, 0xffff))
+        .u32(Math.min(cdSize, ZIP64_LIMIT))
+        .u32(Math.min(cdOffset, ZIP64_LIMIT))
+        .u16(0)
+        .done());
+    });
+  };
+
+  return { addFile, close, isClosed: () => closed };
+};